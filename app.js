@@ -20,9 +20,17 @@ document.addEventListener('DOMContentLoaded', () => {
     const codeInput = document.getElementById('code-input');
     const assembleBtn = document.getElementById('assemble-btn');
     const runBtn = document.getElementById('run-btn');
+    const stopBtn = document.getElementById('stop-btn');
+    const runSpeedSelect = document.getElementById('run-speed');
+    const runIpsInput = document.getElementById('run-ips');
     const stepBtn = document.getElementById('step-btn');
+    const stepOverBtn = document.getElementById('step-over-btn');
+    const stepOutBtn = document.getElementById('step-out-btn');
+    const stepBackBtn = document.getElementById('step-back-btn');
+    const runBackBtn = document.getElementById('run-back-btn');
     const resetBtn = document.getElementById('reset-btn');
     const clearBtn = document.getElementById('clear-btn');
+    const listingBtn = document.getElementById('listing-btn');
     const machineCodeOutput = document.getElementById('machine-code');
     const executionLog = document.getElementById('execution-log');
 
@@ -40,13 +48,31 @@ document.addEventListener('DOMContentLoaded', () => {
         PC: document.getElementById('reg-pc')
     };
 
+    const tStatesEl = document.getElementById('t-states');
+    const elapsedTimeEl = document.getElementById('elapsed-time');
+    const clockMhzInput = document.getElementById('clock-mhz');
+
     const flagElements = {
         S: document.getElementById('flag-s'),
         Z: document.getElementById('flag-z'),
         AC: document.getElementById('flag-ac'),
         P: document.getElementById('flag-p'),
-        CY: document.getElementById('flag-cy')
+        CY: document.getElementById('flag-cy'),
+        V: document.getElementById('flag-v'),
+        K: document.getElementById('flag-k')
     };
+    const undocumentedMode = document.getElementById('undocumented-mode');
+
+    // Format a duration in seconds for display
+    function formatTime(seconds) {
+        if (seconds < 1e-3) {
+            return `${(seconds * 1e6).toFixed(2)} \u00B5s`;
+        }
+        if (seconds < 1) {
+            return `${(seconds * 1e3).toFixed(3)} ms`;
+        }
+        return `${seconds.toFixed(3)} s`;
+    }
 
     // Update display
     function updateDisplay() {
@@ -74,24 +100,163 @@ document.addEventListener('DOMContentLoaded', () => {
             }
         }
 
+        // Update timing
+        tStatesEl.textContent = state.cycles;
+        elapsedTimeEl.textContent = formatTime(state.elapsedTime);
+
+        // Update interrupt state
+        updateInterruptStatus();
+
         // Update memory view
         updateMemoryView();
+
+        // Show the executing line in the editor
+        renderGutter();
+
+        renderCallStack();
+        renderTrace();
     }
 
-    // Log message
-    function log(message, type = '') {
+    // Log message. Given an address that came from the assembled program,
+    // the entry can be clicked to jump to its source line.
+    function log(message, type = '', address = null) {
         const entry = document.createElement('div');
         entry.className = `log-entry ${type}`;
         entry.textContent = message;
+        const line = address === null ? null : assembler.getSourceLine(address);
+        if (line !== null) {
+            entry.classList.add('log-link');
+            entry.title = `Go to line ${line}`;
+            entry.addEventListener('click', () => goToLine(line));
+        }
         executionLog.appendChild(entry);
         executionLog.scrollTop = executionLog.scrollHeight;
     }
 
+    // Editor gutter: line numbers, breakpoint markers and the current line.
+    // Must match the line height and padding of #code-input in styles.css.
+    const codeGutter = document.getElementById('code-gutter');
+    const codeHighlight = document.getElementById('code-highlight');
+    const EDITOR_LINE_HEIGHT = 20;
+    const EDITOR_PADDING = 16;
+
+    // Source line of the instruction at PC, if the program was assembled
+    function currentSourceLine() {
+        return assembler.listing.length > 0 ? assembler.getSourceLine(simulator.PC) : null;
+    }
+
+    function renderGutter() {
+        const lineCount = codeInput.value.split('\n').length;
+        const breakpointLines = new Map();
+        simulator.breakpoints.list().forEach(breakpoint => {
+            const line = assembler.getSourceLine(breakpoint.address);
+            if (line !== null) breakpointLines.set(line, breakpoint);
+        });
+        const current = currentSourceLine();
+
+        codeGutter.innerHTML = '';
+        for (let line = 1; line <= lineCount; line++) {
+            const div = document.createElement('div');
+            div.className = 'gutter-line';
+            div.dataset.line = line;
+            div.textContent = line;
+            const breakpoint = breakpointLines.get(line);
+            if (breakpoint) {
+                div.classList.add('breakpoint');
+                if (!breakpoint.enabled) div.classList.add('disabled');
+            }
+            if (line === current) div.classList.add('current');
+            codeGutter.appendChild(div);
+        }
+
+        codeGutter.scrollTop = codeInput.scrollTop;
+        positionHighlight();
+    }
+
+    // Place the current-line bar over the textarea, following its scroll
+    function positionHighlight() {
+        const line = currentSourceLine();
+        if (line === null) {
+            codeHighlight.style.display = 'none';
+            return;
+        }
+        codeHighlight.style.display = 'block';
+        codeHighlight.style.top = `${EDITOR_PADDING + (line - 1) * EDITOR_LINE_HEIGHT - codeInput.scrollTop}px`;
+    }
+
+    // Select a source line and scroll it into the middle of the editor
+    function goToLine(line) {
+        const lines = codeInput.value.split('\n');
+        if (line > lines.length) return;
+        const start = lines.slice(0, line - 1).reduce((offset, text) => offset + text.length + 1, 0);
+        codeInput.focus();
+        codeInput.setSelectionRange(start, start + lines[line - 1].length);
+        codeInput.scrollTop = Math.max(0, (line - 1) * EDITOR_LINE_HEIGHT - codeInput.clientHeight / 2);
+    }
+
+    codeInput.addEventListener('input', renderGutter);
+    codeInput.addEventListener('scroll', () => {
+        codeGutter.scrollTop = codeInput.scrollTop;
+        positionHighlight();
+    });
+
+    // Click a line number to toggle a breakpoint on that line
+    codeGutter.addEventListener('click', (e) => {
+        const target = e.target.closest('.gutter-line');
+        if (!target) return;
+        const line = Number(target.dataset.line);
+
+        if (assembler.listing.length === 0) {
+            log('Assemble the program first to set breakpoints from the editor.', 'info');
+            return;
+        }
+        const address = assembler.getLineAddress(line);
+        if (address === null) {
+            log(`Line ${line} has no instruction to break on.`, 'info');
+            return;
+        }
+
+        const added = simulator.breakpoints.toggle(address);
+        const addr = address.toString(16).toUpperCase().padStart(4, '0');
+        log(`Breakpoint ${added ? 'set' : 'removed'} at ${addr}H (line ${line})`, 'info', address);
+        renderBreakpoints();
+    });
+
     // Clear log
     function clearLog() {
         executionLog.innerHTML = '';
     }
 
+    // Save text or binary data as a file download
+    function downloadFile(filename, content, type = 'text/plain') {
+        const blob = new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    // Log warnings raised by the simulator since the last report.
+    // reportedWarnings is simulator.warningTotal as of that report.
+    let reportedWarnings = 0;
+
+    function reportDiagnostics() {
+        const warnings = simulator.warnings.toArray();
+        const raised = simulator.warningTotal - reportedWarnings;
+        if (raised > warnings.length) {
+            log(`${raised - warnings.length} more warnings were dropped`, 'warning');
+        }
+        for (const warning of warnings.slice(Math.max(0, warnings.length - raised))) {
+            const addr = warning.address.toString(16).toUpperCase().padStart(4, '0');
+            log(`Warning at ${addr}H: ${warning.message}`, 'warning');
+        }
+        reportedWarnings = simulator.warningTotal;
+    }
+
     // Assemble code
     assembleBtn.addEventListener('click', () => {
         const code = codeInput.value;
@@ -139,7 +304,13 @@ document.addEventListener('DOMContentLoaded', () => {
 
         // Load into simulator
         simulator.reset();
-        simulator.loadProgram(result.machineCode, assembler.startAddress);
+        reportedWarnings = 0;
+        simulator.loadProgram(result.machineCode, assembler.startAddress, assembler.reserved);
+        applyProgramProtection();
+        simulator.breakpoints.setSymbols({ ...assembler.constants, ...assembler.labels });
+        simulator.watchpoints.setSymbols({ ...assembler.constants, ...assembler.labels });
+        renderBreakpoints();
+        renderWatchpoints();
         updateDisplay();
 
         log(`Assembly successful! ${result.machineCode.length} bytes generated.`, 'success');
@@ -150,24 +321,144 @@ document.addEventListener('DOMContentLoaded', () => {
         if (labels.length > 0) {
             log(`Labels: ${labels.map(([name, addr]) => `${name}=${addr.toString(16).toUpperCase().padStart(4, '0')}H`).join(', ')}`, 'info');
         }
+        const constants = Object.entries(assembler.constants);
+        if (constants.length > 0) {
+            log(`Constants: ${constants.map(([name, value]) => `${name}=${value.toString(16).toUpperCase().padStart(4, '0')}H`).join(', ')}`, 'info');
+        }
+    });
+
+    // Download the assembler listing (.LST) of the last assembly
+    listingBtn.addEventListener('click', () => {
+        if (assembler.listing.length === 0) {
+            log('Assemble the program first to create a listing.', 'info');
+            return;
+        }
+        downloadFile('program.lst', assembler.generateListing());
     });
 
-    // Run program
+    // Long runs go to a Web Worker when the browser allows it. Pages opened
+    // from file:// can't start workers, so runs then stay on the page.
+    const runWorkerCheckbox = document.getElementById('run-worker');
+    let workerClient = null;
+    try {
+        workerClient = new SimulatorWorkerClient(simulator);
+    } catch (e) {
+        runWorkerCheckbox.checked = false;
+        runWorkerCheckbox.disabled = true;
+    }
+
+    // Fast mode runs without the Step Back history, trace and last instructions
+    document.getElementById('run-fast-mode').addEventListener('change', (e) => {
+        simulator.setMode(e.target.checked ? 'fast' : 'verbose');
+    });
+
+    // Buttons that change the program or CPU state, disabled during a run
+    const runLockedButtons = [assembleBtn, runBtn, stepBtn, stepOverBtn, stepOutBtn, stepBackBtn, runBackBtn];
+
+    function setRunning(running) {
+        runLockedButtons.forEach(btn => { btn.disabled = running; });
+        stopBtn.disabled = !running;
+    }
+
+    // Run program in the background at the selected speed, updating the
+    // display as it goes, until it halts or Stop is pressed
     runBtn.addEventListener('click', () => {
-        if (simulator.halted) {
+        if (!simulator.canResume()) {
             log('Program halted. Reset to run again.', 'info');
             return;
         }
 
+        const speed = runSpeedSelect.value;
+        const stepsPerSecond = parseFloat(runIpsInput.value);
+        if (speed === 'animate' && !(stepsPerSecond > 0)) {
+            log('Error: Instructions per second must be greater than 0', 'error');
+            return;
+        }
+
         const startPC = simulator.PC;
         log(`Running from ${startPC.toString(16).toUpperCase().padStart(4, '0')}H...`, 'info');
-        
-        const steps = simulator.run();
-        
+
+        const options = {
+            speed: speed,
+            stepsPerSecond: stepsPerSecond,
+            onUpdate: () => {
+                updateDisplay();
+                reportDiagnostics();
+            }
+        };
+        const useWorker = workerClient && !workerClient.failed && runWorkerCheckbox.checked;
+
+        setRunning(true);
+        (useWorker ? workerClient.run(options) : simulator.runAsync(options)).then(steps => {
+            setRunning(false);
+            // Reset and Clear end a run without a stop reason and have
+            // already refreshed the display
+            if (simulator.stopReason) {
+                reportStop(steps);
+            }
+        }, error => {
+            setRunning(false);
+            updateDisplay();
+            if (!useWorker) {
+                log(`Error: ${error.message}`, 'error');
+                return;
+            }
+            log(`Error: Background worker failed: ${error.message}`, 'error');
+            if (workerClient.failed) {
+                runWorkerCheckbox.checked = false;
+                runWorkerCheckbox.disabled = true;
+                log('Runs will stay on the page.', 'info');
+            }
+        });
+    });
+
+    // Pause a run; Run continues from where it stopped
+    stopBtn.addEventListener('click', () => {
+        simulator.stop();
+        if (workerClient) workerClient.stop();
+    });
+
+    // End a run in progress without reporting it, before a reset
+    function abandonRun() {
+        simulator.stop();
+        if (workerClient) workerClient.abandon();
+    }
+
+    // Memory edits made during a background run go to the worker too
+    function setMemoryByte(address, value) {
+        simulator.setMemory(address, value);
+        if (workerClient) workerClient.writeMemory(address & 0xFFFF, [value & 0xFF]);
+    }
+
+    // Refresh the display and log why a run, Step Over or Step Out stopped.
+    // doneMessage describes a Step Over or Step Out that finished.
+    function reportStop(steps, doneMessage = '') {
         updateDisplay();
+        renderBreakpoints();
+        renderWatchpoints();
+        reportDiagnostics();
 
-        if (simulator.halted) {
-            log(`Program halted after ${steps} instructions.`, 'success');
+        if (simulator.stopReason.type === 'done') {
+            const pc = simulator.PC.toString(16).toUpperCase().padStart(4, '0');
+            log(`${doneMessage} ${pc}H (${steps} instructions)`, 'info', simulator.PC);
+        } else if (simulator.stopReason.type === 'watchpoint') {
+            log(`Watchpoint after ${steps} instructions:`, 'warning');
+            simulator.stopReason.hits.forEach(hit => log(`  ${formatWatchHit(hit)}`, 'warning', hit.pc));
+        } else if (simulator.stopReason.type === 'breakpoint') {
+            const { breakpoint } = simulator.stopReason;
+            const addr = breakpoint.address.toString(16).toUpperCase().padStart(4, '0');
+            const name = breakpoint.label ? ` (${breakpoint.label})` : '';
+            log(`Breakpoint at ${addr}H${name} after ${steps} instructions, hit ${breakpoint.hits}.`, 'warning', breakpoint.address);
+        } else if (simulator.fault) {
+            const addr = simulator.fault.address.toString(16).toUpperCase().padStart(4, '0');
+            log(`Program stopped after ${steps} instructions: ${simulator.fault.message} at ${addr}H`, 'error', simulator.fault.address);
+        } else if (simulator.halted) {
+            const state = simulator.getState();
+            log(`Program halted after ${steps} instructions ` +
+                `(${state.cycles} T-states, ${formatTime(state.elapsedTime)}).`, 'success');
+        } else if (simulator.stopReason.type === 'stopped') {
+            const pc = simulator.PC.toString(16).toUpperCase().padStart(4, '0');
+            log(`Stopped after ${steps} instructions at ${pc}H. Run continues from here.`, 'info', simulator.PC);
         } else {
             const state = simulator.getState();
             log(`Stopped after ${steps} instructions (max limit reached).`, 'warning');
@@ -186,11 +477,31 @@ document.addEventListener('DOMContentLoaded', () => {
                 lastInstr.forEach(instr => log(`  ${instr}`, 'info'));
             }
         }
+    }
+
+    // Run a CALL, Ccc or RST through to the instruction after it
+    stepOverBtn.addEventListener('click', () => {
+        if (!simulator.canResume()) {
+            log('Program halted. Reset to continue.', 'info');
+            return;
+        }
+        const steps = simulator.stepOver();
+        reportStop(steps, 'Stepped over to');
+    });
+
+    // Run until the current subroutine returns
+    stepOutBtn.addEventListener('click', () => {
+        if (!simulator.canResume()) {
+            log('Program halted. Reset to continue.', 'info');
+            return;
+        }
+        const steps = simulator.stepOut();
+        reportStop(steps, 'Stepped out to');
     });
 
     // Step through code
     stepBtn.addEventListener('click', () => {
-        if (simulator.halted) {
+        if (!simulator.canResume()) {
             log('Program halted. Reset to continue.', 'info');
             return;
         }
@@ -198,21 +509,65 @@ document.addEventListener('DOMContentLoaded', () => {
         const result = simulator.step();
         updateDisplay();
 
-        log(`${result.address.toString(16).toUpperCase().padStart(4, '0')}: ${result.instruction}`, 'info');
+        log(`${result.address.toString(16).toUpperCase().padStart(4, '0')}: ${result.instruction} (${result.tStates}T)`, 'info', result.address);
+        if (result.watchHits && result.watchHits.length > 0) {
+            result.watchHits.forEach(hit => log(`  Watchpoint: ${formatWatchHit(hit)}`, 'warning', hit.pc));
+            renderWatchpoints();
+        }
+        reportDiagnostics();
 
-        if (result.halted) {
+        if (result.fault) {
+            log(`Program stopped: ${result.fault.message}`, 'error');
+        } else if (result.halted) {
             log('Program halted.', 'success');
         }
     });
 
+    // Undo the last step
+    stepBackBtn.addEventListener('click', () => {
+        const undone = simulator.stepBack();
+        if (!undone) {
+            log('Nothing to step back over.', 'info');
+            return;
+        }
+        reportedWarnings = Math.min(reportedWarnings, simulator.warningTotal);
+        updateDisplay();
+        log(`Undid ${undone.address.toString(16).toUpperCase().padStart(4, '0')}: ${undone.instruction}`, 'info', undone.address);
+    });
+
+    // Undo steps back to the previous breakpoint
+    runBackBtn.addEventListener('click', () => {
+        if (simulator.history.count === 0) {
+            log('Nothing to step back over.', 'info');
+            return;
+        }
+        const steps = simulator.runBack();
+        reportedWarnings = Math.min(reportedWarnings, simulator.warningTotal);
+        updateDisplay();
+
+        const pc = simulator.PC.toString(16).toUpperCase().padStart(4, '0');
+        if (simulator.breakpoints.matches(simulator.PC, simulator)) {
+            log(`Ran back ${steps} instructions to breakpoint at ${pc}H`, 'info', simulator.PC);
+        } else {
+            log(`Ran back ${steps} instructions to ${pc}H (start of history)`, 'info', simulator.PC);
+        }
+    });
+
     // Reset simulator
     resetBtn.addEventListener('click', () => {
+        abandonRun();
         simulator.reset();
+        reportedWarnings = 0;
+        ledValue = 0;
+        renderLeds();
+        renderBreakpoints();
+        renderWatchpoints();
         
         // Reload program if assembled
         if (assembler.machineCode.length > 0) {
-            simulator.loadProgram(assembler.machineCode, assembler.startAddress);
+            simulator.loadProgram(assembler.machineCode, assembler.startAddress, assembler.reserved);
         }
+        applyProgramProtection();
         
         updateDisplay();
         clearLog();
@@ -223,8 +578,12 @@ document.addEventListener('DOMContentLoaded', () => {
     clearBtn.addEventListener('click', () => {
         codeInput.value = '';
         machineCodeOutput.innerHTML = '';
+        assembler.listing = [];
+        assembler.sourceMap = new Map();
         clearLog();
+        abandonRun();
         simulator.reset();
+        reportedWarnings = 0;
         updateDisplay();
     });
 
@@ -262,6 +621,512 @@ document.addEventListener('DOMContentLoaded', () => {
 
     viewMemoryBtn.addEventListener('click', updateMemoryView);
 
+    // Undocumented opcodes are shared by the assembler, simulator and disassembler
+    undocumentedMode.addEventListener('change', () => {
+        const enabled = undocumentedMode.checked;
+        simulator.undocumented = enabled;
+        assembler.undocumented = enabled;
+        disassembler.undocumented = enabled;
+        document.querySelectorAll('.undocumented-flag').forEach(el => {
+            el.hidden = !enabled;
+        });
+        log(`Undocumented opcodes ${enabled ? 'enabled' : 'disabled'}. Assemble again to apply to the program.`, 'info');
+        updateDisplay();
+    });
+
+    // Clock frequency
+    clockMhzInput.addEventListener('change', () => {
+        const mhz = parseFloat(clockMhzInput.value);
+        if (isNaN(mhz) || mhz <= 0) {
+            clockMhzInput.value = simulator.clockFrequency / 1e6;
+            log('Error: Clock must be a positive number of MHz', 'error');
+            return;
+        }
+        simulator.setClockFrequency(mhz * 1e6);
+        updateDisplay();
+    });
+
+    // I/O Devices
+    const switchPortInput = document.getElementById('switch-port');
+    const ledPortInput = document.getElementById('led-port');
+    const switchesEl = document.getElementById('switches');
+    const ledsEl = document.getElementById('leds');
+    const unmappedPolicySelect = document.getElementById('unmapped-port-policy');
+
+    let switchValue = 0;
+    let ledValue = 0;
+    let switchPort = null;
+    let ledPort = null;
+
+    // Build a row of 8 bit cells, D7 on the left
+    function createBitRow(container, className) {
+        const cells = [];
+        for (let bit = 7; bit >= 0; bit--) {
+            const wrapper = document.createElement('div');
+            wrapper.className = 'bit';
+
+            const cell = document.createElement('div');
+            cell.className = className;
+            cell.dataset.bit = bit;
+
+            const label = document.createElement('span');
+            label.textContent = `D${bit}`;
+
+            wrapper.appendChild(cell);
+            wrapper.appendChild(label);
+            container.appendChild(wrapper);
+            cells[bit] = cell;
+        }
+        return cells;
+    }
+
+    const switchCells = createBitRow(switchesEl, 'switch');
+    const ledCells = createBitRow(ledsEl, 'led');
+
+    switchCells.forEach((cell, bit) => {
+        cell.addEventListener('click', () => {
+            switchValue ^= (1 << bit);
+            cell.classList.toggle('on', (switchValue >> bit) & 1);
+        });
+    });
+
+    function renderLeds() {
+        ledCells.forEach((cell, bit) => {
+            cell.classList.toggle('on', (ledValue >> bit) & 1);
+        });
+    }
+
+    // Wire the switches and LEDs to their ports; sharing a port is allowed
+    function bindIoDevices() {
+        const newSwitchPort = parseInt(switchPortInput.value, 16);
+        const newLedPort = parseInt(ledPortInput.value, 16);
+
+        if (isNaN(newSwitchPort) || newSwitchPort < 0 || newSwitchPort > 0xFF ||
+            isNaN(newLedPort) || newLedPort < 0 || newLedPort > 0xFF) {
+            log('Error: Port must be a hex value from 00 to FF', 'error');
+            return;
+        }
+
+        if (switchPort !== null) simulator.unmapPort(switchPort);
+        if (ledPort !== null) simulator.unmapPort(ledPort);
+
+        switchPort = newSwitchPort;
+        ledPort = newLedPort;
+
+        const read = () => switchValue;
+        const write = (value) => {
+            ledValue = value;
+            renderLeds();
+        };
+
+        if (switchPort === ledPort) {
+            simulator.mapPort(switchPort, { read, write });
+        } else {
+            simulator.mapPort(switchPort, { read });
+            simulator.mapPort(ledPort, { write });
+        }
+    }
+
+    switchPortInput.addEventListener('change', bindIoDevices);
+    ledPortInput.addEventListener('change', bindIoDevices);
+
+    unmappedPolicySelect.addEventListener('change', () => {
+        simulator.setUnmappedPortPolicy(unmappedPolicySelect.value);
+    });
+
+    bindIoDevices();
+
+    // Breakpoints
+    const bpLocationInput = document.getElementById('bp-location');
+    const bpConditionInput = document.getElementById('bp-condition');
+    const bpHitCountInput = document.getElementById('bp-hit-count');
+    const breakpointList = document.getElementById('breakpoint-list');
+
+    function renderBreakpoints() {
+        if (workerClient) workerClient.updateBreakpoints();
+        breakpointList.innerHTML = '';
+        simulator.breakpoints.list().forEach(breakpoint => {
+            const row = document.createElement('tr');
+            if (!breakpoint.enabled) row.classList.add('disabled');
+
+            const enabledCell = document.createElement('td');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = breakpoint.enabled;
+            checkbox.addEventListener('change', () => {
+                simulator.breakpoints.setEnabled(breakpoint.address, checkbox.checked);
+                renderBreakpoints();
+            });
+            enabledCell.appendChild(checkbox);
+            row.appendChild(enabledCell);
+
+            const hits = breakpoint.hitCount ? `${breakpoint.hits} / ${breakpoint.hitCount}` : `${breakpoint.hits}`;
+            [
+                breakpoint.address.toString(16).toUpperCase().padStart(4, '0') + 'H',
+                breakpoint.label || '',
+                breakpoint.condition || '',
+                hits
+            ].forEach(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+
+            const removeCell = document.createElement('td');
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'btn small';
+            removeBtn.textContent = 'Remove';
+            removeBtn.addEventListener('click', () => {
+                simulator.breakpoints.remove(breakpoint.address);
+                renderBreakpoints();
+            });
+            removeCell.appendChild(removeBtn);
+            row.appendChild(removeCell);
+
+            breakpointList.appendChild(row);
+        });
+
+        // Markers in the editor gutter
+        renderGutter();
+    }
+
+    document.getElementById('bp-add-btn').addEventListener('click', () => {
+        const location = bpLocationInput.value.trim();
+        if (!location) {
+            log('Enter an address or label for the breakpoint.', 'info');
+            return;
+        }
+        try {
+            const breakpoint = simulator.breakpoints.add(location, {
+                condition: bpConditionInput.value,
+                hitCount: bpHitCountInput.value ? Number(bpHitCountInput.value) : 0
+            });
+            const addr = breakpoint.address.toString(16).toUpperCase().padStart(4, '0');
+            log(`Breakpoint set at ${addr}H`, 'info');
+            bpLocationInput.value = '';
+            bpConditionInput.value = '';
+            bpHitCountInput.value = '';
+            renderBreakpoints();
+        } catch (e) {
+            log(`Error: ${e.message}`, 'error');
+        }
+    });
+
+    document.getElementById('bp-reset-hits-btn').addEventListener('click', () => {
+        simulator.breakpoints.resetHits();
+        renderBreakpoints();
+    });
+
+    document.getElementById('bp-clear-btn').addEventListener('click', () => {
+        simulator.breakpoints.clear();
+        renderBreakpoints();
+        log('All breakpoints cleared.', 'info');
+    });
+
+    renderBreakpoints();
+
+    // Call stack, innermost frame first
+    const callStackList = document.getElementById('call-stack-list');
+    const callStackWarnings = document.getElementById('call-stack-warnings');
+    const stackPolicySelect = document.getElementById('stack-policy');
+    const stackLowInput = document.getElementById('stack-low');
+    const stackTopInput = document.getElementById('stack-top');
+    const stackFollowSP = document.getElementById('stack-follow-sp');
+    const stackRegion = document.getElementById('stack-region');
+
+    function renderCallStack() {
+        const hex16 = value => value.toString(16).toUpperCase().padStart(4, '0') + 'H';
+        const labelNames = new Map();
+        for (const [name, address] of Object.entries(assembler.labels)) {
+            if (!labelNames.has(address)) labelNames.set(address, name);
+        }
+
+        const depth = simulator.stackDepth();
+        stackRegion.textContent = `Stack ${hex16(simulator.stack.low)}-${hex16(simulator.stack.top)}, ` +
+            `SP ${hex16(simulator.SP)}, ` +
+            (depth < 0x8000 ? `${depth} byte(s) in use` : 'SP is above the stack top');
+
+        callStackList.innerHTML = '';
+        const frames = simulator.callStack;
+        for (let i = frames.length - 1; i >= 0; i--) {
+            const frame = frames[i];
+            // Bytes pushed since entry; the next frame's entry SP bounds it
+            const top = i === frames.length - 1 ? simulator.SP : (frames[i + 1].sp + 2) & 0xFFFF;
+            const pushed = (frame.sp - top) & 0xFFFF;
+
+            let target = hex16(frame.target);
+            if (labelNames.has(frame.target)) {
+                target += ` (${labelNames.get(frame.target)})`;
+            } else if (frame.kind === 'interrupt') {
+                target += ` (${frame.instruction.split(' ')[0]})`;
+            }
+
+            const row = document.createElement('tr');
+            [
+                `${frames.length - i}`,
+                hex16(frame.callSite),
+                target,
+                hex16(frame.returnAddress),
+                hex16(frame.sp),
+                `${pushed}`
+            ].forEach((text, column) => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                if (column === 5 && pushed > 0x7FFF) {
+                    // SP has moved above the return address: too many POPs
+                    cell.textContent = `-${0x10000 - pushed}`;
+                    cell.classList.add('mismatch');
+                }
+                row.appendChild(cell);
+            });
+            row.addEventListener('click', () => {
+                const line = assembler.getSourceLine(frame.callSite);
+                if (line !== null) goToLine(line);
+            });
+            callStackList.appendChild(row);
+        }
+
+        callStackWarnings.innerHTML = '';
+        simulator.warnings.toArray().filter(warning => warning.category === 'stack').slice(-5).forEach(warning => {
+            const div = document.createElement('div');
+            div.textContent = `${hex16(warning.address)}: ${warning.message}`;
+            callStackWarnings.appendChild(div);
+        });
+    }
+
+    stackPolicySelect.addEventListener('change', () => {
+        simulator.setStackPolicy(stackPolicySelect.value);
+    });
+
+    stackFollowSP.addEventListener('change', () => {
+        simulator.stackFollowsSP = stackFollowSP.checked;
+    });
+
+    document.getElementById('stack-bounds-btn').addEventListener('click', () => {
+        const low = parseInt(stackLowInput.value, 16);
+        const top = parseInt(stackTopInput.value, 16);
+        if (isNaN(low) || isNaN(top) || low > 0xFFFF || top > 0xFFFF) {
+            log('Error: Stack bounds must be hex addresses from 0000 to FFFF', 'error');
+            return;
+        }
+        try {
+            simulator.setStackBounds(low, top, stackFollowSP.checked);
+            renderCallStack();
+            log(`Stack region set to ${stackLowInput.value.toUpperCase()}H-${stackTopInput.value.toUpperCase()}H`, 'info');
+        } catch (e) {
+            log(`Error: ${e.message}`, 'error');
+        }
+    });
+
+    // Execution trace, showing the most recent steps
+    const traceList = document.getElementById('trace-list');
+    const traceSizeInput = document.getElementById('trace-size');
+    const traceContainer = traceList.closest('.trace-container');
+    const TRACE_ROWS = 50;
+
+    // Changes of one trace record as "A=05 SP=2FFE CY=1 [2050]=3C"
+    function formatTraceChanges(record) {
+        const parts = [];
+        for (const [name, value] of Object.entries(record.changes.registers)) {
+            parts.push(`${name}=${value.toString(16).toUpperCase().padStart(name === 'SP' ? 4 : 2, '0')}`);
+        }
+        for (const [name, value] of Object.entries(record.changes.flags)) {
+            parts.push(`${name}=${value}`);
+        }
+        for (const write of record.memory || []) {
+            parts.push(`[${write.address.toString(16).toUpperCase().padStart(4, '0')}]=` +
+                write.new.toString(16).toUpperCase().padStart(2, '0'));
+        }
+        return parts.join(' ');
+    }
+
+    function renderTrace() {
+        traceList.innerHTML = '';
+        simulator.trace.tail(TRACE_ROWS).forEach(record => {
+            const row = document.createElement('tr');
+            [
+                `${record.step}`,
+                record.address.toString(16).toUpperCase().padStart(4, '0'),
+                record.bytes.map(b => b.toString(16).toUpperCase().padStart(2, '0')).join(' '),
+                record.instruction,
+                formatTraceChanges(record),
+                `${record.tStates}`,
+                `${record.cycles}`
+            ].forEach(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+            row.addEventListener('click', () => {
+                const line = assembler.getSourceLine(record.address);
+                if (line !== null) goToLine(line);
+            });
+            traceList.appendChild(row);
+        });
+        traceContainer.scrollTop = traceContainer.scrollHeight;
+    }
+
+    traceSizeInput.addEventListener('change', () => {
+        try {
+            simulator.trace.setSize(Number(traceSizeInput.value));
+            renderTrace();
+        } catch (e) {
+            log(`Error: ${e.message}`, 'error');
+            traceSizeInput.value = simulator.trace.size;
+        }
+    });
+
+    document.getElementById('trace-memory').addEventListener('change', (e) => {
+        simulator.trace.recordMemory = e.target.checked;
+    });
+
+    document.getElementById('trace-csv-btn').addEventListener('click', () => {
+        if (simulator.trace.count === 0) {
+            log('The trace is empty. Run or step the program first.', 'info');
+            return;
+        }
+        downloadFile('trace.csv', simulator.trace.toCSV(), 'text/csv');
+    });
+
+    document.getElementById('trace-json-btn').addEventListener('click', () => {
+        if (simulator.trace.count === 0) {
+            log('The trace is empty. Run or step the program first.', 'info');
+            return;
+        }
+        downloadFile('trace.json', simulator.trace.exportJSON(), 'application/json');
+    });
+
+    document.getElementById('trace-clear-btn').addEventListener('click', () => {
+        simulator.trace.clear();
+        renderTrace();
+    });
+
+    // Watchpoints
+    const wpLocationInput = document.getElementById('wp-location');
+    const wpTypeSelect = document.getElementById('wp-type');
+    const watchpointList = document.getElementById('watchpoint-list');
+
+    // Describe a watchpoint hit, e.g. "2013H wrote 2050H: 00H -> 3CH"
+    function formatWatchHit(hit) {
+        const hex8 = value => value.toString(16).toUpperCase().padStart(2, '0') + 'H';
+        const hex16 = value => value.toString(16).toUpperCase().padStart(4, '0') + 'H';
+        if (hit.access === 'read') {
+            return `${hex16(hit.pc)} read ${hex16(hit.address)}: ${hex8(hit.newValue)}`;
+        }
+        return `${hex16(hit.pc)} wrote ${hex16(hit.address)}: ${hex8(hit.oldValue)} -> ${hex8(hit.newValue)}`;
+    }
+
+    function renderWatchpoints() {
+        if (workerClient) workerClient.updateWatchpoints();
+        watchpointList.innerHTML = '';
+        const lastHits = new Map();
+        simulator.watchpoints.log.forEach(hit => lastHits.set(hit.watchpoint.id, hit));
+
+        simulator.watchpoints.list().forEach(watchpoint => {
+            const row = document.createElement('tr');
+            if (!watchpoint.enabled) row.classList.add('disabled');
+
+            const enabledCell = document.createElement('td');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = watchpoint.enabled;
+            checkbox.addEventListener('change', () => {
+                simulator.watchpoints.setEnabled(watchpoint.id, checkbox.checked);
+                renderWatchpoints();
+            });
+            enabledCell.appendChild(checkbox);
+            row.appendChild(enabledCell);
+
+            const start = watchpoint.start.toString(16).toUpperCase().padStart(4, '0') + 'H';
+            const end = watchpoint.end.toString(16).toUpperCase().padStart(4, '0') + 'H';
+            const lastHit = lastHits.get(watchpoint.id);
+            [
+                watchpoint.start === watchpoint.end ? start : `${start}-${end}`,
+                watchpoint.label || '',
+                watchpoint.type,
+                `${watchpoint.hits}`,
+                lastHit ? formatWatchHit(lastHit) : ''
+            ].forEach(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+
+            const removeCell = document.createElement('td');
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'btn small';
+            removeBtn.textContent = 'Remove';
+            removeBtn.addEventListener('click', () => {
+                simulator.watchpoints.remove(watchpoint.id);
+                renderWatchpoints();
+            });
+            removeCell.appendChild(removeBtn);
+            row.appendChild(removeCell);
+
+            watchpointList.appendChild(row);
+        });
+    }
+
+    document.getElementById('wp-add-btn').addEventListener('click', () => {
+        const location = wpLocationInput.value.trim();
+        if (!location) {
+            log('Enter an address, label or range for the watchpoint.', 'info');
+            return;
+        }
+        try {
+            const watchpoint = simulator.watchpoints.add(location, wpTypeSelect.value);
+            const start = watchpoint.start.toString(16).toUpperCase().padStart(4, '0');
+            log(`Watchpoint (${watchpoint.type}) set at ${start}H`, 'info');
+            wpLocationInput.value = '';
+            renderWatchpoints();
+        } catch (e) {
+            log(`Error: ${e.message}`, 'error');
+        }
+    });
+
+    document.getElementById('wp-clear-btn').addEventListener('click', () => {
+        simulator.watchpoints.clear();
+        renderWatchpoints();
+        log('All watchpoints cleared.', 'info');
+    });
+
+    renderWatchpoints();
+
+    // Interrupts
+    const interruptBtns = document.querySelectorAll('.interrupt-btn');
+    const intrVectorSelect = document.getElementById('intr-vector');
+    const sidSwitch = document.getElementById('sid-switch');
+    const sodLed = document.getElementById('sod-led');
+    const interruptStatus = document.getElementById('interrupt-status');
+
+    function updateInterruptStatus() {
+        const { interrupts, serial } = simulator.getState();
+        const pending = Object.keys(interrupts.pending).filter(line => interrupts.pending[line]);
+
+        interruptStatus.textContent =
+            `IE: ${interrupts.enabled}   ` +
+            `Masks 7.5/6.5/5.5: ${interrupts.masks['RST7.5']}${interrupts.masks['RST6.5']}${interrupts.masks['RST5.5']}\n` +
+            `Pending: ${pending.length > 0 ? pending.join(', ') : 'none'}`;
+        sidSwitch.classList.toggle('on', serial.SID === 1);
+        sodLed.classList.toggle('on', serial.SOD === 1);
+    }
+
+    interruptBtns.forEach(btn => {
+        btn.addEventListener('click', () => {
+            const line = btn.dataset.line;
+            simulator.raiseInterrupt(line, parseInt(intrVectorSelect.value, 16));
+            if (workerClient) workerClient.raiseInterrupt(line, parseInt(intrVectorSelect.value, 16));
+            updateInterruptStatus();
+            log(`${line} requested.`, 'info');
+        });
+    });
+
+    sidSwitch.addEventListener('click', () => {
+        simulator.setSID(simulator.serial.SID ? 0 : 1);
+        if (workerClient) workerClient.setSID(simulator.serial.SID);
+        sidSwitch.classList.toggle('on', simulator.serial.SID === 1);
+    });
+
     // Instructions Tab
     const instructionSearch = document.getElementById('instruction-search');
     const instructionList = document.getElementById('instruction-list');
@@ -285,9 +1150,15 @@ document.addEventListener('DOMContentLoaded', () => {
             const card = document.createElement('div');
             card.className = 'instruction-card';
             
+            // Timing is only known for entries with a single opcode
+            const opcode = parseInt(instr.opcode, 16);
+            const timing = instr.category === 'undocumented' ? UNDOCUMENTED_T_STATES[opcode] : T_STATES[opcode];
+            const tStates = timing === undefined ? '' :
+                ` | ${Array.isArray(timing) ? timing.join('/') : timing} T`;
+
             card.innerHTML = `
                 <div class="mnemonic">${instr.mnemonic}</div>
-                <div class="opcode">Opcode: ${instr.opcode} | ${instr.bytes} byte(s)</div>
+                <div class="opcode">Opcode: ${instr.opcode} | ${instr.bytes} byte(s)${tStates}</div>
                 <div class="description">${instr.description}</div>
                 <span class="category-tag">${instr.category}</span>
             `;
@@ -415,6 +1286,12 @@ document.addEventListener('DOMContentLoaded', () => {
                     if (cellAddr === simulator.PC) {
                         cell.classList.add('pc-highlight');
                     }
+
+                    const type = simulator.memoryMap.typeAt(cellAddr);
+                    if (type !== 'ram') {
+                        cell.classList.add(`${type}-cell`);
+                        cell.title = type === 'rom' ? 'ROM' : 'Unmapped';
+                    }
                     
                     // Make cells editable
                     cell.contentEditable = true;
@@ -423,7 +1300,7 @@ document.addEventListener('DOMContentLoaded', () => {
                     cell.addEventListener('blur', (e) => {
                         const newValue = parseInt(e.target.textContent, 16);
                         if (!isNaN(newValue) && newValue >= 0 && newValue <= 255) {
-                            simulator.setMemory(cellAddr, newValue);
+                            setMemoryByte(cellAddr, newValue);
                             e.target.textContent = newValue.toString(16).toUpperCase().padStart(2, '0');
                         } else {
                             e.target.textContent = simulator.memory[cellAddr].toString(16).toUpperCase().padStart(2, '0');
@@ -452,7 +1329,7 @@ document.addEventListener('DOMContentLoaded', () => {
         const end = parseInt(memEndAddr.value, 16) || 0xFF;
         
         for (let addr = start; addr <= end; addr++) {
-            simulator.memory[addr] = 0;
+            setMemoryByte(addr, 0);
         }
         
         updateMemoryTable();
@@ -464,7 +1341,7 @@ document.addEventListener('DOMContentLoaded', () => {
         const data = parseInt(memDataInput.value, 16);
         
         if (!isNaN(addr) && !isNaN(data) && addr >= 0 && addr <= 0xFFFF && data >= 0 && data <= 0xFF) {
-            simulator.setMemory(addr, data);
+            setMemoryByte(addr, data);
             updateMemoryTable();
             updateDisplay();
             memAddrInput.value = (addr + 1).toString(16).toUpperCase().padStart(4, '0');
@@ -484,7 +1361,7 @@ document.addEventListener('DOMContentLoaded', () => {
         
         bytes.forEach((byte, i) => {
             const addr = (start + i) & 0xFFFF;
-            simulator.setMemory(addr, byte);
+            setMemoryByte(addr, byte);
         });
         
         updateMemoryTable();
@@ -493,6 +1370,266 @@ document.addEventListener('DOMContentLoaded', () => {
         log(`Loaded ${bytes.length} bytes at ${start.toString(16).toUpperCase().padStart(4, '0')}H`, 'success');
     });
 
+    // File import/export
+    const exportHexProgramBtn = document.getElementById('export-hex-program-btn');
+    const exportHexRangeBtn = document.getElementById('export-hex-range-btn');
+    const importHexBtn = document.getElementById('import-hex-btn');
+    const importHexFile = document.getElementById('import-hex-file');
+    const fileStatus = document.getElementById('file-status');
+
+    function showFileStatus(message, type) {
+        fileStatus.textContent = message;
+        fileStatus.className = `file-status ${type}`;
+        log(message, type);
+    }
+
+    // Read the start/end address fields, or null if they are not a valid range
+    function getMemoryRange() {
+        const start = parseInt(memStartAddr.value, 16);
+        const end = parseInt(memEndAddr.value, 16);
+        if (isNaN(start) || isNaN(end) || start < 0 || end > 0xFFFF || start > end) {
+            showFileStatus('Enter a valid start and end address (0000-FFFF, start <= end).', 'error');
+            return null;
+        }
+        return { start, end };
+    }
+
+    exportHexProgramBtn.addEventListener('click', () => {
+        if (assembler.machineCode.length === 0 || assembler.errors.length > 0) {
+            showFileStatus('Assemble a program without errors before exporting it.', 'error');
+            return;
+        }
+        downloadFile('program.hex', intelHex.encode(assembler.machineCode, assembler.startAddress));
+        showFileStatus(`Exported ${assembler.machineCode.length} bytes as program.hex`, 'success');
+    });
+
+    exportHexRangeBtn.addEventListener('click', () => {
+        const range = getMemoryRange();
+        if (!range) return;
+
+        const data = [];
+        for (let addr = range.start; addr <= range.end; addr++) {
+            data.push({ address: addr, byte: simulator.memory[addr] });
+        }
+        const name = `memory_${memStartAddr.value.toUpperCase()}_${memEndAddr.value.toUpperCase()}.hex`;
+        downloadFile(name, intelHex.encode(data, range.start));
+        showFileStatus(`Exported ${data.length} bytes as ${name}`, 'success');
+    });
+
+    const saveBinBtn = document.getElementById('save-bin-btn');
+    const snapshotBinBtn = document.getElementById('snapshot-bin-btn');
+    const binBaseAddr = document.getElementById('bin-base-addr');
+    const loadBinBtn = document.getElementById('load-bin-btn');
+    const loadBinFile = document.getElementById('load-bin-file');
+
+    // A background run would overwrite imported memory and PC when it stops
+    runLockedButtons.push(importHexBtn, loadBinBtn);
+
+    importHexBtn.addEventListener('click', () => importHexFile.click());
+
+    importHexFile.addEventListener('change', () => {
+        const file = importHexFile.files[0];
+        if (!file) return;
+
+        file.text().then(text => {
+            let result;
+            try {
+                result = intelHex.decode(text);
+            } catch (e) {
+                showFileStatus(`${file.name}: ${e.message}`, 'error');
+                return;
+            }
+
+            for (const item of result.data) {
+                simulator.setMemory(item.address, item.byte);
+            }
+            let message = `Loaded ${result.data.length} bytes from ${file.name}`;
+            if (result.startAddress !== null) {
+                simulator.PC = result.startAddress;
+                message += `, PC set to ${result.startAddress.toString(16).toUpperCase().padStart(4, '0')}H`;
+            }
+            updateMemoryTable();
+            updateDisplay();
+            showFileStatus(message, 'success');
+        }).catch(e => showFileStatus(`${file.name}: ${e.message}`, 'error'));
+
+        // Allow the same file to be picked again
+        importHexFile.value = '';
+    });
+
+    saveBinBtn.addEventListener('click', () => {
+        const range = getMemoryRange();
+        if (!range) return;
+
+        const name = `memory_${memStartAddr.value.toUpperCase()}_${memEndAddr.value.toUpperCase()}.bin`;
+        downloadFile(name, simulator.readBlock(range.start, range.end), 'application/octet-stream');
+        showFileStatus(`Saved ${range.end - range.start + 1} bytes as ${name}`, 'success');
+    });
+
+    snapshotBinBtn.addEventListener('click', () => {
+        downloadFile('memory_64k.bin', simulator.readBlock(0x0000, 0xFFFF), 'application/octet-stream');
+        showFileStatus('Saved full 64 KB memory image as memory_64k.bin', 'success');
+    });
+
+    loadBinBtn.addEventListener('click', () => loadBinFile.click());
+
+    loadBinFile.addEventListener('change', () => {
+        const file = loadBinFile.files[0];
+        if (!file) return;
+
+        const base = parseInt(binBaseAddr.value, 16);
+        if (isNaN(base) || base < 0 || base > 0xFFFF) {
+            showFileStatus('Enter a valid base address (0000-FFFF).', 'error');
+            loadBinFile.value = '';
+            return;
+        }
+
+        file.arrayBuffer().then(buffer => {
+            try {
+                simulator.writeBlock(base, new Uint8Array(buffer));
+            } catch (e) {
+                showFileStatus(`${file.name}: ${e.message}`, 'error');
+                return;
+            }
+            updateMemoryTable();
+            updateDisplay();
+            showFileStatus(`Loaded ${buffer.byteLength} bytes from ${file.name} at ${base.toString(16).toUpperCase().padStart(4, '0')}H`, 'success');
+        }).catch(e => showFileStatus(`${file.name}: ${e.message}`, 'error'));
+
+        // Allow the same file to be picked again
+        loadBinFile.value = '';
+    });
+
+    // Disassembler
+    const disasmStartAddr = document.getElementById('disasm-start-addr');
+    const disasmEndAddr = document.getElementById('disasm-end-addr');
+    const disasmLabels = document.getElementById('disasm-labels');
+    const disassembleBtn = document.getElementById('disassemble-btn');
+    const disassemblyOutput = document.getElementById('disassembly-output');
+
+    disassembleBtn.addEventListener('click', () => {
+        const start = parseInt(disasmStartAddr.value, 16);
+        const end = parseInt(disasmEndAddr.value, 16);
+        if (isNaN(start) || isNaN(end) || start < 0 || end > 0xFFFF || start > end) {
+            disassemblyOutput.textContent = 'Enter a valid start and end address (0000-FFFF, start <= end).';
+            return;
+        }
+
+        disassembler.setSymbols(disasmLabels.checked ? assembler.labels : {});
+        disassemblyOutput.textContent = disassembler.format(disassembler.disassemble(simulator.memory, start, end));
+    });
+
+    // Memory map
+    const memoryMapPreset = document.getElementById('memory-map-preset');
+    const romWritePolicy = document.getElementById('rom-write-policy');
+    const unmappedMemoryPolicy = document.getElementById('unmapped-memory-policy');
+    const protectProgram = document.getElementById('protect-program');
+    const regionStart = document.getElementById('region-start');
+    const regionEnd = document.getElementById('region-end');
+    const regionType = document.getElementById('region-type');
+    const memoryRegionList = document.getElementById('memory-region-list');
+    const memoryMapFill = document.getElementById('memory-map-fill');
+
+    for (const [key, preset] of Object.entries(MEMORY_MAP_PRESETS)) {
+        const option = document.createElement('option');
+        option.value = key;
+        option.textContent = preset.name;
+        memoryMapPreset.appendChild(option);
+    }
+    const customOption = document.createElement('option');
+    customOption.value = 'custom';
+    customOption.textContent = 'Custom';
+    customOption.hidden = true;
+    memoryMapPreset.appendChild(customOption);
+
+    // Make the assembled program read-only when the box is ticked
+    function applyProgramProtection() {
+        const ranges = protectProgram.checked ? simulator.memoryMap.rangesOf(assembler.machineCode) : [];
+        simulator.memoryMap.protect(ranges);
+    }
+
+    function renderMemoryMap() {
+        const map = simulator.memoryMap;
+        memoryMapPreset.value = map.preset || 'custom';
+        memoryRegionList.innerHTML = '';
+
+        map.regions.forEach((region, index) => {
+            const row = document.createElement('tr');
+            [
+                region.start.toString(16).toUpperCase().padStart(4, '0') + 'H',
+                region.end.toString(16).toUpperCase().padStart(4, '0') + 'H',
+                region.type.toUpperCase(),
+                region.name || ''
+            ].forEach(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+
+            const removeCell = document.createElement('td');
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'btn small';
+            removeBtn.textContent = 'Remove';
+            removeBtn.addEventListener('click', () => {
+                map.removeRegion(index);
+                renderMemoryMap();
+            });
+            removeCell.appendChild(removeBtn);
+            row.appendChild(removeCell);
+
+            memoryRegionList.appendChild(row);
+        });
+
+        memoryMapFill.textContent = `Addresses outside these regions are ${map.fill === 'unmapped' ? 'unmapped' : map.fill.toUpperCase()}.`;
+        updateMemoryTable();
+    }
+
+    memoryMapPreset.addEventListener('change', () => {
+        if (memoryMapPreset.value === 'custom') return;
+        simulator.memoryMap.loadPreset(memoryMapPreset.value);
+        renderMemoryMap();
+        showFileStatus(`Memory map: ${MEMORY_MAP_PRESETS[memoryMapPreset.value].name}`, 'success');
+    });
+
+    romWritePolicy.addEventListener('change', () => {
+        simulator.memoryMap.setRomWritePolicy(romWritePolicy.value);
+    });
+
+    unmappedMemoryPolicy.addEventListener('change', () => {
+        simulator.memoryMap.setUnmappedPolicy(unmappedMemoryPolicy.value);
+    });
+
+    document.getElementById('check-uninitialized').addEventListener('change', (e) => {
+        simulator.checkUninitialized = e.target.checked;
+    });
+
+    document.getElementById('random-power-on').addEventListener('change', (e) => {
+        simulator.randomPowerOn = e.target.checked;
+        showFileStatus(`Random power-on values ${e.target.checked ? 'on' : 'off'}; takes effect on the next Reset or Assemble`, 'info');
+    });
+
+    protectProgram.addEventListener('change', () => {
+        applyProgramProtection();
+        updateMemoryTable();
+    });
+
+    document.getElementById('add-region-btn').addEventListener('click', () => {
+        const start = parseInt(regionStart.value, 16);
+        const end = parseInt(regionEnd.value, 16);
+        if (isNaN(start) || isNaN(end)) {
+            showFileStatus('Error: Region start and end must be hex addresses', 'error');
+            return;
+        }
+        try {
+            simulator.memoryMap.addRegion({ start, end, type: regionType.value, name: '' });
+            renderMemoryMap();
+        } catch (e) {
+            showFileStatus(`Error: ${e.message}`, 'error');
+        }
+    });
+
+    renderMemoryMap();
+
     // Sample program
     codeInput.value = `; 8085 Sample Program
 ; Add two numbers
@@ -1,10 +1,32 @@
 // 8085 Assembler
+
+// Word operators usable in operand expressions
+const EXPRESSION_OPERATORS = ['MOD', 'AND', 'OR', 'XOR', 'NOT', 'SHL', 'SHR', 'HIGH', 'LOW'];
+
+// Names that cannot be used as labels or constants
+const RESERVED_WORDS = [
+    'A', 'B', 'C', 'D', 'E', 'H', 'L', 'M', 'SP', 'PSW',
+    'ORG', 'EQU', 'SET', 'DB', 'DW', 'DS', 'DUP',
+    ...EXPRESSION_OPERATORS,
+    ...new Set(Object.keys(OPCODE_TABLE).map(key => key.split(' ')[0]))
+];
+
 class Assembler {
     constructor() {
         this.labels = {};
+        this.constants = {};
+        this.setSymbols = new Set();
+        this.negativeConstants = new Set(); // constants given a negative value
         this.machineCode = [];
         this.errors = [];
         this.startAddress = 0x0000;
+        this.undocumented = false;
+        this.listing = [];
+        this.symbolLines = {};
+        this.references = {};
+        this.currentLine = null;
+        this.sourceMap = new Map(); // address -> source line number
+        this.reserved = []; // {start, end} ranges reserved with DS
     }
 
     // Parse hex value from string
@@ -18,6 +40,9 @@ class Assembler {
         if (value.startsWith('0X')) {
             value = value.slice(2);
         }
+        if (!/^[0-9A-F]+$/.test(value)) {
+            return null;
+        }
         const num = parseInt(value, 16);
         if (isNaN(num)) {
             return null;
@@ -31,6 +56,9 @@ class Assembler {
         if (value.endsWith('D')) {
             value = value.slice(0, -1);
         }
+        if (!/^[0-9]+$/.test(value)) {
+            return null;
+        }
         const num = parseInt(value, 10);
         if (isNaN(num)) {
             return null;
@@ -44,6 +72,9 @@ class Assembler {
         if (value.endsWith('B')) {
             value = value.slice(0, -1);
         }
+        if (!/^[01]+$/.test(value)) {
+            return null;
+        }
         const num = parseInt(value, 2);
         if (isNaN(num)) {
             return null;
@@ -80,79 +111,610 @@ class Assembler {
         return this.parseHex(value);
     }
 
-    // First pass: collect labels
+    // Look up a label or EQU/SET constant
+    lookupSymbol(name) {
+        if (this.constants[name] !== undefined) {
+            return this.constants[name];
+        }
+        return this.labels[name];
+    }
+
+    // Note that a symbol is used on the line being assembled (second pass only)
+    addReference(name) {
+        if (this.currentLine === null) {
+            return;
+        }
+        const lines = this.references[name] || (this.references[name] = []);
+        if (lines[lines.length - 1] !== this.currentLine) {
+            lines.push(this.currentLine);
+        }
+    }
+
+    // Evaluate an operand expression, returning null if it can't be resolved
+    parseValue(value, currentAddress = 0, bareHex = true) {
+        try {
+            return this.evaluate(value, currentAddress, bareHex);
+        } catch (e) {
+            return null;
+        }
+    }
+
+    // Uppercase text except inside quoted strings
+    upperOutsideQuotes(text) {
+        let result = '';
+        let quote = null;
+        for (const ch of text) {
+            if (quote) {
+                if (ch === quote) quote = null;
+                result += ch;
+            } else {
+                if (ch === '\'' || ch === '"') quote = ch;
+                result += ch.toUpperCase();
+            }
+        }
+        return result;
+    }
+
+    // Return the contents of a quoted string, or null if text is not one.
+    // A quote inside the string is written twice, as in 'IT''S'
+    parseStringLiteral(text) {
+        const match = text.trim().match(/^(?:'((?:[^']|'')*)'|"((?:[^"]|"")*)")$/);
+        if (!match) {
+            return null;
+        }
+        return match[1] !== undefined ? match[1].replace(/''/g, '\'') : match[2].replace(/""/g, '"');
+    }
+
+    // Convert string contents to byte values
+    stringBytes(string) {
+        return Array.from(string, ch => {
+            const code = ch.charCodeAt(0);
+            if (code > 0xFF) {
+                throw new Error(`Character does not fit in a byte: ${ch}`);
+            }
+            return code;
+        });
+    }
+
+    // Value of a character constant: 'A' is 41H and 'AB' is 4142H
+    characterValue(literal) {
+        const bytes = this.stringBytes(this.parseStringLiteral(literal));
+        if (bytes.length === 0 || bytes.length > 2) {
+            throw new Error(`Character constant must have 1 or 2 characters: ${literal}`);
+        }
+        return bytes.reduce((value, byte) => (value << 8) | byte, 0);
+    }
+
+    // Split an expression into number, symbol and operator tokens
+    tokenizeExpression(text) {
+        const tokens = [];
+        const pattern = /\s*(?:([0-9][0-9A-Z]*)|([A-Z_?@][A-Z0-9_?@]*)|(\$)|([()+\-*\/])|('(?:[^']|'')*'|"(?:[^"]|"")*"))/y;
+        text = this.upperOutsideQuotes(text);
+        let pos = 0;
+
+        while (pos < text.length) {
+            if (/^\s*$/.test(text.slice(pos))) break;
+            pattern.lastIndex = pos;
+            const match = pattern.exec(text);
+            if (!match) {
+                const ch = text.slice(pos).trim()[0];
+                if (ch === '\'' || ch === '"') {
+                    throw new Error(`Unterminated string in expression: ${text.trim()}`);
+                }
+                throw new Error(`Unexpected character '${ch}' in expression: ${text.trim()}`);
+            }
+            pos = pattern.lastIndex;
+
+            if (match[1] !== undefined) {
+                const value = this.parseNumber(match[1]);
+                if (value === null) {
+                    throw new Error(`Invalid number: ${match[1]}`);
+                }
+                tokens.push({ type: 'number', value: value, text: match[1] });
+            } else if (match[2] !== undefined) {
+                const word = match[2];
+                if (EXPRESSION_OPERATORS.includes(word)) {
+                    tokens.push({ type: 'operator', value: word, text: word });
+                } else {
+                    tokens.push({ type: 'symbol', value: word, text: word });
+                }
+            } else if (match[3] !== undefined) {
+                tokens.push({ type: 'location', text: '$' });
+            } else if (match[4] !== undefined) {
+                tokens.push({ type: 'operator', value: match[4], text: match[4] });
+            } else {
+                tokens.push({ type: 'number', value: this.characterValue(match[5]), text: match[5] });
+            }
+        }
+
+        return tokens;
+    }
+
+    // Evaluate an expression to a 16-bit value. $ is the address of the
+    // current statement. Throws an Error describing the first problem found.
+    // Without bareHex, an unknown name spelled like hex (FACE) is undefined
+    // rather than read as a number.
+    evaluate(text, currentAddress = 0, bareHex = true) {
+        return this.evaluateSigned(text, currentAddress, bareHex) & 0xFFFF;
+    }
+
+    // Evaluate an expression, keeping its sign: the result is from -FFFFH
+    // to FFFFH and negative when the expression is, as in -1 or 5-10.
+    // Values wrap at 16 bits; / MOD SHL and SHR work on the unsigned value.
+    //
+    // Precedence, highest first: ( ), HIGH LOW unary + -, * / MOD SHL SHR,
+    // + -, NOT, AND, OR XOR
+    evaluateSigned(text, currentAddress = 0, bareHex = true) {
+        const tokens = this.tokenizeExpression(text);
+        let pos = 0;
+
+        // Wrap to 16 bits, keeping negative values negative
+        const wrap = value => {
+            const low = value & 0xFFFF;
+            return value < 0 && low !== 0 ? low - 0x10000 : low;
+        };
+
+        if (tokens.length === 0) {
+            throw new Error('Missing value');
+        }
+
+        const accept = (...operators) => {
+            const token = tokens[pos];
+            if (token && token.type === 'operator' && operators.includes(token.value)) {
+                pos++;
+                return token.value;
+            }
+            return null;
+        };
+
+        const parsePrimary = () => {
+            const token = tokens[pos++];
+            if (!token) {
+                throw new Error(`Incomplete expression: ${text.trim()}`);
+            }
+            if (token.type === 'number') {
+                return token.value;
+            }
+            if (token.type === 'location') {
+                return currentAddress;
+            }
+            if (token.type === 'symbol') {
+                const value = this.lookupSymbol(token.value);
+                if (value !== undefined) {
+                    this.addReference(token.value);
+                    const negative = this.constants[token.value] !== undefined && this.negativeConstants.has(token.value);
+                    return negative ? value - 0x10000 : value;
+                }
+                // Bare hex such as FF is still accepted when no symbol of
+                // that name is defined anywhere in the program
+                const defined = this.symbolLines[token.value] !== undefined;
+                const literal = bareHex && !defined ? this.parseNumber(token.value) : null;
+                if (literal === null) {
+                    throw new Error(`Undefined symbol: ${token.value}`);
+                }
+                return literal;
+            }
+            if (token.value === '(') {
+                const value = parseOr();
+                if (!accept(')')) {
+                    throw new Error(`Missing ')' in expression: ${text.trim()}`);
+                }
+                return value;
+            }
+            throw new Error(`Unexpected '${token.text}' in expression: ${text.trim()}`);
+        };
+
+        const parseUnary = () => {
+            const operator = accept('+', '-', 'HIGH', 'LOW');
+            if (!operator) {
+                return parsePrimary();
+            }
+            const value = parseUnary();
+            switch (operator) {
+                case '-': return wrap(-value);
+                case 'HIGH': return (value >> 8) & 0xFF;
+                case 'LOW': return value & 0xFF;
+                default: return value;
+            }
+        };
+
+        const parseMultiplicative = () => {
+            let value = parseUnary();
+            let operator;
+            while ((operator = accept('*', '/', 'MOD', 'SHL', 'SHR'))) {
+                const right = parseUnary();
+                if (operator === '*') {
+                    value = wrap(value * right);
+                    continue;
+                }
+                const left = value & 0xFFFF;
+                const count = right & 0xFFFF;
+                if ((operator === '/' || operator === 'MOD') && count === 0) {
+                    throw new Error(`Division by zero in expression: ${text.trim()}`);
+                }
+                switch (operator) {
+                    case '/': value = Math.floor(left / count); break;
+                    case 'MOD': value = left % count; break;
+                    case 'SHL': value = count > 15 ? 0 : (left << count) & 0xFFFF; break;
+                    case 'SHR': value = count > 15 ? 0 : left >>> count; break;
+                }
+            }
+            return value;
+        };
+
+        const parseAdditive = () => {
+            let value = parseMultiplicative();
+            let operator;
+            while ((operator = accept('+', '-'))) {
+                const right = parseMultiplicative();
+                value = wrap(operator === '+' ? value + right : value - right);
+            }
+            return value;
+        };
+
+        const parseNot = () => {
+            if (accept('NOT')) {
+                return wrap(~parseNot());
+            }
+            return parseAdditive();
+        };
+
+        const parseAnd = () => {
+            let value = parseNot();
+            while (accept('AND')) {
+                value = wrap(value & parseNot());
+            }
+            return value;
+        };
+
+        const parseOr = () => {
+            let value = parseAnd();
+            let operator;
+            while ((operator = accept('OR', 'XOR'))) {
+                const right = parseAnd();
+                value = wrap(operator === 'OR' ? value | right : value ^ right);
+            }
+            return value;
+        };
+
+        const value = parseOr();
+        if (pos < tokens.length) {
+            throw new Error(`Unexpected '${tokens[pos].text}' in expression: ${text.trim()}`);
+        }
+        return value;
+    }
+
+    // Evaluate an expression that must fit in a byte. Negative expressions
+    // down to -256 are accepted and give their low byte, so MVI A, -1 loads
+    // FFH but MVI A, 0FF80H is an error.
+    evaluateByte(text, currentAddress) {
+        const value = this.evaluateSigned(text, currentAddress);
+        if (value > 0xFF || value < -0x100) {
+            throw new Error(`Value does not fit in a byte: ${text.trim()}`);
+        }
+        return value & 0xFF;
+    }
+
+    // Split text at commas that are outside parentheses and quotes
+    splitOperands(text) {
+        const operands = [];
+        let depth = 0;
+        let quote = null;
+        let current = '';
+        for (const ch of text) {
+            if (quote) {
+                if (ch === quote) quote = null;
+            } else if (ch === '\'' || ch === '"') {
+                quote = ch;
+            } else if (ch === '(') {
+                depth++;
+            } else if (ch === ')') {
+                depth--;
+            } else if (ch === ',' && depth === 0) {
+                operands.push(current.trim());
+                current = '';
+                continue;
+            }
+            current += ch;
+        }
+        operands.push(current.trim());
+        return operands;
+    }
+
+    // Split a statement into its mnemonic and comma separated operands.
+    // Operands are uppercased except for quoted strings.
+    splitStatement(line) {
+        const match = line.trim().match(/^(\S+)\s*(.*)$/);
+        if (!match) {
+            return { mnemonic: '', operands: [] };
+        }
+
+        const rest = this.upperOutsideQuotes(match[2]);
+        const operands = rest ? this.splitOperands(rest) : [];
+
+        return { mnemonic: match[1].toUpperCase(), operands: operands };
+    }
+
+    // Remove a trailing comment from a source line, ignoring ';' inside quotes
+    stripComment(line) {
+        let quote = null;
+        for (let i = 0; i < line.length; i++) {
+            const ch = line[i];
+            if (quote) {
+                if (ch === quote) quote = null;
+            } else if (ch === '\'' || ch === '"') {
+                quote = ch;
+            } else if (ch === ';') {
+                return line.substring(0, i).trim();
+            }
+        }
+        return line.trim();
+    }
+
+    // Separate a leading "LABEL:" from the rest of a statement
+    splitLabel(line) {
+        const match = line.match(/^([A-Z_?@][A-Z0-9_?@]*)\s*:(.*)$/i);
+        if (!match) {
+            return { label: null, statement: line };
+        }
+        return { label: match[1].toUpperCase(), statement: match[2].trim() };
+    }
+
+    // Expand DB/DW operands into one entry per byte (DB) or word (DW).
+    // Strings in DB give one byte per character and "count DUP (items)"
+    // repeats its items. Entries are byte values or expressions still to
+    // be evaluated, so sizes can be worked out before labels are known.
+    expandData(mnemonic, operands, currentAddress) {
+        if (operands.length === 0) {
+            throw new Error(`${mnemonic} requires a value`);
+        }
+        // Entries that fit between currentAddress and the end of memory
+        const room = Math.floor((0x10000 - currentAddress) / (mnemonic === 'DW' ? 2 : 1));
+        const items = [];
+        for (const operand of operands) {
+            const dup = operand.match(/^(.+?)\s+DUP\s*\((.*)\)$/);
+            if (dup) {
+                const count = this.evaluateSigned(dup[1], currentAddress);
+                if (count < 0) {
+                    throw new Error(`DUP count cannot be negative: ${dup[1].trim()}`);
+                }
+                // Checked before expanding, so nested DUPs can't build huge lists
+                if (count > room - items.length) {
+                    throw new Error(`DUP goes past the end of memory: ${operand}`);
+                }
+                const repeated = this.expandData(mnemonic, this.splitOperands(dup[2]), currentAddress);
+                if (count * repeated.length > room - items.length) {
+                    throw new Error(`DUP goes past the end of memory: ${operand}`);
+                }
+                for (let n = 0; n < count; n++) {
+                    items.push(...repeated);
+                }
+                continue;
+            }
+
+            const string = mnemonic === 'DB' ? this.parseStringLiteral(operand) : null;
+            if (string === '') {
+                throw new Error('Empty string in DB');
+            }
+            if (string !== null) {
+                items.push(...this.stringBytes(string));
+            } else {
+                items.push(operand);
+            }
+        }
+        return items;
+    }
+
+    // Number of bytes reserved by "DS count"
+    reserveSize(operands, currentAddress) {
+        if (operands.length !== 1 || !operands[0]) {
+            throw new Error('DS requires a size');
+        }
+        const size = this.evaluateSigned(operands[0], currentAddress);
+        if (size < 0) {
+            throw new Error(`DS size cannot be negative: ${operands[0]}`);
+        }
+        if (currentAddress + size > 0x10000) {
+            throw new Error(`DS goes past the end of memory: ${operands[0]}`);
+        }
+        return size;
+    }
+
+    // Match "NAME EQU value" or "NAME SET value" (a colon after NAME is allowed)
+    parseDefinition(line) {
+        const match = line.match(/^([A-Z_?@][A-Z0-9_?@]*)\s*:?\s+(EQU|SET)\b\s*(.*)$/i);
+        if (!match) {
+            return null;
+        }
+        return {
+            name: match[1].toUpperCase(),
+            directive: match[2].toUpperCase(),
+            value: match[3].trim()
+        };
+    }
+
+    // Check that a new symbol name is usable, returning an error message if not
+    checkSymbolName(name) {
+        if (RESERVED_WORDS.includes(name) || OPCODE_TABLE[name] !== undefined ||
+            (this.undocumented && UNDOCUMENTED_OPCODES[name] !== undefined)) {
+            return `Reserved word cannot be used as a symbol: ${name}`;
+        }
+        if (this.labels[name] !== undefined || this.constants[name] !== undefined) {
+            return `Symbol already defined: ${name}`;
+        }
+        return null;
+    }
+
+    // Check an EQU or SET definition before it is applied
+    checkDefinition(definition) {
+        if (!definition.value) {
+            return `${definition.directive} requires a value`;
+        }
+        // SET may redefine its own symbol
+        if (definition.directive === 'SET' && this.setSymbols.has(definition.name)) {
+            return null;
+        }
+        return this.checkSymbolName(definition.name);
+    }
+
+    // Evaluate and record a constant; false if its value can't be resolved yet
+    assignConstant(definition, currentAddress, bareHex = true) {
+        let value;
+        try {
+            value = this.evaluateSigned(definition.value, currentAddress, bareHex);
+        } catch (e) {
+            return false;
+        }
+        this.constants[definition.name] = value & 0xFFFF;
+        if (value < 0) {
+            this.negativeConstants.add(definition.name);
+        } else {
+            this.negativeConstants.delete(definition.name);
+        }
+        if (definition.directive === 'SET') {
+            this.setSymbols.add(definition.name);
+        }
+        return true;
+    }
+
+    // First pass: collect labels and constants
     firstPass(lines) {
         this.labels = {};
-        let address = this.startAddress;
+        this.constants = {};
+        this.setSymbols = new Set();
+        this.negativeConstants = new Set();
+        this.errors = [];
+        this.sizeErrors = new Set();
+        this.unresolvedOrgs = new Set(); // ORG lines pass 1 couldn't evaluate
+        this.symbolLines = {};
+        this.references = {};
+        this.currentLine = null;
+        this.startAddress = 0x0000;
+        let address = 0x0000;
+        let codeSeen = false;
+        const forwardEqus = [];
 
         for (let i = 0; i < lines.length; i++) {
-            let line = lines[i].trim();
-            
-            // Remove comments
-            const commentIndex = line.indexOf(';');
-            if (commentIndex !== -1) {
-                line = line.substring(0, commentIndex).trim();
-            }
+            let line = this.stripComment(lines[i]);
 
             if (!line) continue;
 
+            // Check for EQU/SET definition
+            const definition = this.parseDefinition(line);
+            if (definition) {
+                const error = this.checkDefinition(definition);
+                if (!error && this.symbolLines[definition.name] === undefined) {
+                    this.symbolLines[definition.name] = i + 1;
+                }
+                if (error) {
+                    this.errors.push({ line: i + 1, message: error, source: lines[i].trim() });
+                } else if (!this.assignConstant(definition, address, definition.directive !== 'EQU')) {
+                    if (definition.directive === 'EQU') {
+                        // May refer to a label defined further down, even
+                        // one spelled like hex, so bare hex waits until then
+                        forwardEqus.push({ definition, address, line: i + 1, source: lines[i].trim() });
+                    } else {
+                        this.errors.push({ line: i + 1, message: `Invalid SET value: ${definition.value}`, source: lines[i].trim() });
+                    }
+                }
+                continue;
+            }
+
             // Check for ORG directive
-            if (line.toUpperCase().startsWith('ORG')) {
-                const parts = line.split(/\s+/);
-                if (parts.length >= 2) {
-                    const addr = this.parseNumber(parts[1]);
-                    if (addr !== null) {
-                        address = addr;
+            if (/^ORG\b/i.test(line)) {
+                const addr = this.parseValue(line.slice(3), address);
+                if (addr !== null) {
+                    address = addr;
+                    // The first ORG ahead of any code sets the entry point
+                    if (!codeSeen) {
                         this.startAddress = addr;
                     }
+                } else {
+                    // Reported in pass 2, which can tell a forward reference
+                    // from an invalid address
+                    this.unresolvedOrgs.add(i + 1);
                 }
                 continue;
             }
 
             // Check for label
-            if (line.includes(':')) {
-                const labelParts = line.split(':');
-                const labelName = labelParts[0].trim().toUpperCase();
-                this.labels[labelName] = address;
-                line = labelParts.slice(1).join(':').trim();
+            const { label, statement } = this.splitLabel(line);
+            if (label) {
+                const error = this.checkSymbolName(label);
+                if (error) {
+                    this.errors.push({ line: i + 1, message: error, source: lines[i].trim() });
+                } else {
+                    this.labels[label] = address;
+                    this.symbolLines[label] = i + 1;
+                }
+                line = statement;
             }
 
             if (!line) continue;
 
-            // Calculate instruction size
-            const size = this.getInstructionSize(line);
-            address += size;
+            // Calculate instruction size. DS and DUP counts must be known
+            // here, so they can't refer to labels further down.
+            try {
+                address += this.getInstructionSize(line, address);
+            } catch (e) {
+                this.errors.push({ line: i + 1, message: e.message, source: lines[i].trim() });
+                this.sizeErrors.add(i + 1);
+            }
+            codeSeen = true;
+        }
+
+        // Resolve EQUs that refer forward, now that all labels are known
+        let progress = true;
+        while (forwardEqus.length > 0 && progress) {
+            progress = false;
+            for (let j = forwardEqus.length - 1; j >= 0; j--) {
+                if (this.assignConstant(forwardEqus[j].definition, forwardEqus[j].address)) {
+                    forwardEqus.splice(j, 1);
+                    progress = true;
+                }
+            }
+        }
+        for (const pending of forwardEqus) {
+            this.errors.push({
+                line: pending.line,
+                message: `Invalid EQU value: ${pending.definition.value}`,
+                source: pending.source
+            });
         }
     }
 
     // Get instruction size in bytes
-    getInstructionSize(line) {
-        const parts = line.trim().toUpperCase().split(/[\s,]+/);
-        const mnemonic = parts[0];
+    getInstructionSize(line, currentAddress = 0) {
+        const { mnemonic, operands } = this.splitStatement(line);
 
         // Check for DB (define byte) directive
         if (mnemonic === 'DB') {
-            return parts.length - 1;
+            return this.expandData(mnemonic, operands, currentAddress).length;
         }
 
         // Check for DW (define word) directive
         if (mnemonic === 'DW') {
-            return (parts.length - 1) * 2;
+            return this.expandData(mnemonic, operands, currentAddress).length * 2;
+        }
+
+        // Check for DS (define storage) directive
+        if (mnemonic === 'DS') {
+            return this.reserveSize(operands, currentAddress);
         }
 
         // Build instruction key for lookup
         let key = mnemonic;
         
         // For instructions with register operands
-        if (parts.length >= 2) {
-            const operand1 = parts[1].replace(',', '');
+        if (operands.length >= 1) {
+            const operand1 = operands[0];
             
             // Check if it's a register-only instruction
             if (['MOV', 'ADD', 'ADC', 'SUB', 'SBB', 'ANA', 'ORA', 'XRA', 'CMP', 
                  'INR', 'DCR', 'INX', 'DCX', 'DAD', 'PUSH', 'POP', 'LDAX', 'STAX'].includes(mnemonic)) {
                 
-                if (mnemonic === 'MOV' && parts.length >= 3) {
-                    key = `MOV ${operand1},${parts[2]}`;
+                if (mnemonic === 'MOV' && operands.length >= 2) {
+                    key = `MOV ${operand1},${operands[1]}`;
                 } else {
                     key = `${mnemonic} ${operand1}`;
                 }
@@ -176,7 +738,10 @@ class Assembler {
         }
 
         // Check by mnemonic alone
-        if (OPCODE_TABLE[mnemonic]) {
+        if (OPCODE_TABLE[mnemonic] || (this.undocumented && UNDOCUMENTED_OPCODES[mnemonic])) {
+            if (IMMEDIATE_8BIT.includes(mnemonic)) {
+                return 2;
+            }
             if (IMMEDIATE_16BIT.includes(mnemonic)) {
                 return 3;
             }
@@ -189,58 +754,94 @@ class Assembler {
     // Second pass: generate machine code
     secondPass(lines) {
         this.machineCode = [];
-        this.errors = [];
-        let address = this.startAddress;
+        this.listing = [];
+        this.sourceMap = new Map();
+        this.reserved = [];
+        let address = 0x0000;
+
+        // SET symbols take their values in source order again
+        for (const name of this.setSymbols) {
+            delete this.constants[name];
+        }
 
         for (let i = 0; i < lines.length; i++) {
-            let line = lines[i].trim();
-            const originalLine = line;
-            
-            // Remove comments
-            const commentIndex = line.indexOf(';');
-            if (commentIndex !== -1) {
-                line = line.substring(0, commentIndex).trim();
-            }
+            let line = this.stripComment(lines[i]);
+            const originalLine = lines[i].trim();
+
+            // Every source line appears in the listing, even blank ones
+            const entry = { line: i + 1, address: null, bytes: [], value: null, source: lines[i].replace(/\s+$/, '') };
+            this.listing.push(entry);
+            this.currentLine = i + 1;
 
             if (!line) continue;
 
+            // EQU was resolved in the first pass; SET is reapplied in order
+            const definition = this.parseDefinition(line);
+            if (definition) {
+                if (definition.directive === 'SET') {
+                    this.assignConstant(definition, address);
+                } else {
+                    // Evaluated again only to record the symbols it uses
+                    this.parseValue(definition.value, address);
+                }
+                if (this.constants[definition.name] !== undefined) {
+                    entry.value = this.constants[definition.name];
+                }
+                continue;
+            }
+
             // Check for ORG directive
-            if (line.toUpperCase().startsWith('ORG')) {
-                const parts = line.split(/\s+/);
-                if (parts.length >= 2) {
-                    const addr = this.parseNumber(parts[1]);
-                    if (addr !== null) {
-                        address = addr;
+            if (/^ORG\b/i.test(line)) {
+                try {
+                    address = this.evaluate(line.slice(3), address);
+                    entry.address = address;
+                    // Labels after it were placed without it in pass 1
+                    if (this.unresolvedOrgs.has(i + 1)) {
+                        this.errors.push({ line: i + 1, message: 'ORG operand must be defined before use', source: originalLine });
                     }
+                } catch (e) {
+                    this.errors.push({ line: i + 1, message: `Invalid ORG address: ${e.message}`, source: originalLine });
                 }
                 continue;
             }
 
             // Remove label if present
-            if (line.includes(':')) {
-                const labelParts = line.split(':');
-                line = labelParts.slice(1).join(':').trim();
-            }
+            line = this.splitLabel(line).statement;
+            entry.address = address;
 
             if (!line) continue;
 
+            // Already reported by the first pass
+            if (this.sizeErrors.has(i + 1)) continue;
+
             // Parse instruction
             const result = this.parseInstruction(line, address, i + 1);
             
             if (result.error) {
                 this.errors.push({ line: i + 1, message: result.error, source: originalLine });
             } else {
+                entry.bytes = result.bytes;
                 for (const byte of result.bytes) {
                     this.machineCode.push({
                         address: address,
                         byte: byte,
-                        source: line
+                        source: line,
+                        line: i + 1
                     });
+                    // Every byte maps back, so operand addresses do too
+                    this.sourceMap.set(address, i + 1);
                     address++;
                 }
+                if (result.reserve) {
+                    this.reserved.push({ start: address, end: address + result.reserve - 1 });
+                    address += result.reserve;
+                }
             }
         }
 
+        this.currentLine = null;
+        this.errors.sort((a, b) => a.line - b.line);
+
         return {
             success: this.errors.length === 0,
             machineCode: this.machineCode,
@@ -250,44 +851,46 @@ class Assembler {
 
     // Parse a single instruction
     parseInstruction(line, currentAddress, lineNum) {
-        const parts = line.toUpperCase().split(/[\s,]+/).filter(p => p);
-        const mnemonic = parts[0];
+        try {
+            return this.encodeInstruction(line, currentAddress);
+        } catch (e) {
+            // Expression errors carry their own message
+            return { error: e.message };
+        }
+    }
+
+    // Encode an instruction or data directive into bytes
+    encodeInstruction(line, currentAddress) {
+        const { mnemonic, operands } = this.splitStatement(line);
         const bytes = [];
 
         // Handle DB directive
         if (mnemonic === 'DB') {
-            for (let i = 1; i < parts.length; i++) {
-                const val = this.parseNumber(parts[i]);
-                if (val === null || val > 255 || val < 0) {
-                    return { error: `Invalid byte value: ${parts[i]}` };
-                }
-                bytes.push(val);
+            for (const item of this.expandData(mnemonic, operands, currentAddress)) {
+                bytes.push(typeof item === 'number' ? item : this.evaluateByte(item, currentAddress));
             }
             return { bytes };
         }
 
         // Handle DW directive
         if (mnemonic === 'DW') {
-            for (let i = 1; i < parts.length; i++) {
-                let val = this.parseNumber(parts[i]);
-                if (val === null) {
-                    // Check if it's a label
-                    if (this.labels[parts[i]] !== undefined) {
-                        val = this.labels[parts[i]];
-                    } else {
-                        return { error: `Invalid word value: ${parts[i]}` };
-                    }
-                }
+            for (const item of this.expandData(mnemonic, operands, currentAddress)) {
+                const val = this.evaluate(item, currentAddress);
                 bytes.push(val & 0xFF);        // Low byte
                 bytes.push((val >> 8) & 0xFF); // High byte
             }
             return { bytes };
         }
 
+        // Handle DS directive: reserve space without emitting bytes
+        if (mnemonic === 'DS') {
+            return { bytes, reserve: this.reserveSize(operands, currentAddress) };
+        }
+
         // Build instruction key
         let key = mnemonic;
-        let operand1 = parts.length > 1 ? parts[1] : null;
-        let operand2 = parts.length > 2 ? parts[2] : null;
+        let operand1 = operands.length > 0 ? operands[0] : null;
+        let operand2 = operands.length > 1 ? operands[1] : null;
 
         // Handle MOV instruction
         if (mnemonic === 'MOV') {
@@ -313,11 +916,7 @@ class Assembler {
             }
             bytes.push(parseInt(OPCODE_TABLE[key], 16));
             
-            const data = this.parseNumber(operand2);
-            if (data === null || data > 255 || data < 0) {
-                return { error: `Invalid immediate data: ${operand2}` };
-            }
-            bytes.push(data);
+            bytes.push(this.evaluateByte(operand2, currentAddress));
             return { bytes };
         }
 
@@ -332,15 +931,7 @@ class Assembler {
             }
             bytes.push(parseInt(OPCODE_TABLE[key], 16));
             
-            let data = this.parseNumber(operand2);
-            if (data === null) {
-                // Check if it's a label
-                if (this.labels[operand2] !== undefined) {
-                    data = this.labels[operand2];
-                } else {
-                    return { error: `Invalid 16-bit data: ${operand2}` };
-                }
-            }
+            const data = this.evaluate(operand2, currentAddress);
             bytes.push(data & 0xFF);        // Low byte first
             bytes.push((data >> 8) & 0xFF); // High byte
             return { bytes };
@@ -373,11 +964,7 @@ class Assembler {
             }
             bytes.push(parseInt(OPCODE_TABLE[mnemonic], 16));
             
-            const data = this.parseNumber(operand1);
-            if (data === null || data > 255 || data < 0) {
-                return { error: `Invalid immediate data: ${operand1}` };
-            }
-            bytes.push(data);
+            bytes.push(this.evaluateByte(operand1, currentAddress));
             return { bytes };
         }
 
@@ -388,8 +975,8 @@ class Assembler {
             }
             bytes.push(parseInt(OPCODE_TABLE[mnemonic], 16));
             
-            const port = this.parseNumber(operand1);
-            if (port === null || port > 255 || port < 0) {
+            const port = this.evaluate(operand1, currentAddress);
+            if (port > 0xFF) {
                 return { error: `Invalid port address: ${operand1}` };
             }
             bytes.push(port);
@@ -408,15 +995,7 @@ class Assembler {
             }
             bytes.push(parseInt(OPCODE_TABLE[mnemonic], 16));
             
-            let addr = this.parseNumber(operand1);
-            if (addr === null) {
-                // Check if it's a label
-                if (this.labels[operand1] !== undefined) {
-                    addr = this.labels[operand1];
-                } else {
-                    return { error: `Unknown label: ${operand1}` };
-                }
-            }
+            const addr = this.evaluate(operand1, currentAddress);
             bytes.push(addr & 0xFF);        // Low byte
             bytes.push((addr >> 8) & 0xFF); // High byte
             return { bytes };
@@ -430,14 +1009,7 @@ class Assembler {
             }
             bytes.push(parseInt(OPCODE_TABLE[mnemonic], 16));
             
-            let addr = this.parseNumber(operand1);
-            if (addr === null) {
-                if (this.labels[operand1] !== undefined) {
-                    addr = this.labels[operand1];
-                } else {
-                    return { error: `Invalid address: ${operand1}` };
-                }
-            }
+            const addr = this.evaluate(operand1, currentAddress);
             bytes.push(addr & 0xFF);
             bytes.push((addr >> 8) & 0xFF);
             return { bytes };
@@ -448,7 +1020,7 @@ class Assembler {
             if (!operand1) {
                 return { error: 'RST requires a number (0-7)' };
             }
-            key = `RST ${operand1}`;
+            key = `RST ${this.evaluate(operand1, currentAddress)}`;
             if (!OPCODE_TABLE[key]) {
                 return { error: `Invalid RST number: ${operand1}` };
             }
@@ -462,9 +1034,52 @@ class Assembler {
             return { bytes };
         }
 
+        // Handle undocumented instructions
+        if (UNDOCUMENTED_OPCODES[mnemonic]) {
+            if (!this.undocumented) {
+                return { error: `${mnemonic} is an undocumented instruction; enable undocumented opcodes to use it` };
+            }
+            bytes.push(parseInt(UNDOCUMENTED_OPCODES[mnemonic], 16));
+            if (IMMEDIATE_8BIT.includes(mnemonic)) {
+                if (!operand1) {
+                    return { error: `${mnemonic} requires immediate data` };
+                }
+                bytes.push(this.evaluateByte(operand1, currentAddress));
+            } else if (IMMEDIATE_16BIT.includes(mnemonic)) {
+                if (!operand1) {
+                    return { error: `${mnemonic} requires an address` };
+                }
+                const addr = this.evaluate(operand1, currentAddress);
+                bytes.push(addr & 0xFF);
+                bytes.push((addr >> 8) & 0xFF);
+            }
+            return { bytes };
+        }
+
         return { error: `Unknown instruction: ${mnemonic}` };
     }
 
+    // Source line (1-based) that generated the byte at address, or null
+    getSourceLine(address) {
+        const line = this.sourceMap.get(address & 0xFFFF);
+        return line === undefined ? null : line;
+    }
+
+    // Address a breakpoint on a source line should use: the line's first
+    // byte, or the address of a label on a line of its own. Null for lines
+    // with no code, such as comments, EQU and ORG.
+    getLineAddress(line) {
+        const entry = this.listing[line - 1];
+        if (!entry || entry.address === null) {
+            return null;
+        }
+        if (entry.bytes.length > 0) {
+            return entry.address;
+        }
+        const { label, statement } = this.splitLabel(this.stripComment(entry.source));
+        return label && !statement ? entry.address : null;
+    }
+
     // Main assemble function
     assemble(code) {
         const lines = code.split('\n');
@@ -476,6 +1091,69 @@ class Assembler {
         return this.secondPass(lines);
     }
 
+    // Build a printable listing of the last assembly: line number, address,
+    // object code (bytesPerLine per row, continued on extra rows) and the
+    // original source, then a symbol table and a cross-reference
+    generateListing(options = {}) {
+        const bytesPerLine = options.bytesPerLine || 4;
+        const hex = (value, digits) => value.toString(16).toUpperCase().padStart(digits, '0');
+        const objectWidth = bytesPerLine * 3 + 1;
+        const output = [];
+
+        output.push(`${'LINE'.padStart(5)}  ADDR  ${'OBJECT'.padEnd(objectWidth)}SOURCE`);
+        output.push('');
+
+        for (const entry of this.listing) {
+            const lineNum = String(entry.line).padStart(5);
+            let addr = '    ';
+            let object = '';
+
+            if (entry.value !== null) {
+                object = `= ${hex(entry.value, 4)}`;
+            } else if (entry.address !== null) {
+                addr = hex(entry.address, 4);
+            }
+            object += entry.bytes.slice(0, bytesPerLine).map(b => hex(b, 2)).join(' ');
+            output.push(`${lineNum}  ${addr}  ${object.padEnd(objectWidth)}${entry.source}`.trimEnd());
+
+            // Long DB/DW lines continue on rows of their own
+            for (let n = bytesPerLine; n < entry.bytes.length; n += bytesPerLine) {
+                const more = entry.bytes.slice(n, n + bytesPerLine).map(b => hex(b, 2)).join(' ');
+                output.push(`${''.padStart(5)}  ${hex((entry.address + n) & 0xFFFF, 4)}  ${more}`);
+            }
+
+            for (const error of this.errors.filter(e => e.line === entry.line)) {
+                output.push(`***** ERROR: ${error.message}`);
+            }
+        }
+
+        const names = [...new Set([...Object.keys(this.labels), ...Object.keys(this.constants)])].sort();
+        if (names.length === 0) {
+            return output.join('\n') + '\n';
+        }
+        const nameWidth = Math.max(6, ...names.map(name => name.length)) + 2;
+
+        output.push('', '', 'SYMBOL TABLE', '');
+        output.push(`${'NAME'.padEnd(nameWidth)}TYPE   VALUE`);
+        for (const name of names) {
+            let type = 'LABEL';
+            if (this.constants[name] !== undefined) {
+                type = this.setSymbols.has(name) ? 'SET' : 'EQU';
+            }
+            output.push(`${name.padEnd(nameWidth)}${type.padEnd(7)}${hex(this.lookupSymbol(name), 4)}H`);
+        }
+
+        output.push('', '', 'CROSS-REFERENCE', '');
+        output.push(`${'NAME'.padEnd(nameWidth)}DEFINED  REFERENCED`);
+        for (const name of names) {
+            const defined = this.symbolLines[name] !== undefined ? String(this.symbolLines[name]) : '';
+            const used = (this.references[name] || []).join(' ');
+            output.push(`${name.padEnd(nameWidth)}${defined.padEnd(9)}${used || '(unused)'}`);
+        }
+
+        return output.join('\n') + '\n';
+    }
+
     // Format machine code output
     formatOutput() {
         const output = [];
@@ -508,3 +1186,10 @@ class Assembler {
 
 // Create global assembler instance
 const assembler = new Assembler();
+
+// Export for Node (see cli.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        Assembler, assembler
+    };
+}
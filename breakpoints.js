@@ -0,0 +1,528 @@
+// Breakpoint and watchpoint managers
+
+// Names a breakpoint condition can use, read from the simulator when tested
+const CONDITION_NAMES = {
+    A: cpu => cpu.registers.A,
+    B: cpu => cpu.registers.B,
+    C: cpu => cpu.registers.C,
+    D: cpu => cpu.registers.D,
+    E: cpu => cpu.registers.E,
+    H: cpu => cpu.registers.H,
+    L: cpu => cpu.registers.L,
+    M: cpu => cpu.memory[cpu.getRegPair('H')],
+    BC: cpu => cpu.getRegPair('B'),
+    DE: cpu => cpu.getRegPair('D'),
+    HL: cpu => cpu.getRegPair('H'),
+    SP: cpu => cpu.SP,
+    PC: cpu => cpu.PC,
+    S: cpu => cpu.flags.S,
+    Z: cpu => cpu.flags.Z,
+    AC: cpu => cpu.flags.AC,
+    P: cpu => cpu.flags.P,
+    CY: cpu => cpu.flags.CY,
+    V: cpu => cpu.flags.V,
+    K: cpu => cpu.flags.K
+};
+
+// Binary operators from lowest to highest precedence
+const CONDITION_PRECEDENCE = [
+    ['||'],
+    ['&&'],
+    ['==', '!=', '<', '<=', '>', '>='],
+    ['|'],
+    ['^'],
+    ['&'],
+    ['+', '-']
+];
+
+// What a watchpoint stops on
+const WATCH_TYPES = ['read', 'write', 'change', 'access'];
+
+// takeHits() result when nothing was hit, shared so steps don't allocate
+const NO_WATCH_HITS = Object.freeze([]);
+
+// Resolve an address typed as a number or a label
+function resolveLocation(text, symbols) {
+    const name = text.trim().toUpperCase();
+    if (symbols[name] !== undefined) {
+        return { address: symbols[name] & 0xFFFF, label: name };
+    }
+    const value = assembler.parseNumber(name);
+    if (value === null || value > 0xFFFF) {
+        throw new Error(`Unknown address or label: ${text.trim()}`);
+    }
+    return { address: value, label: null };
+}
+
+class BreakpointManager {
+    constructor() {
+        // address -> { address, label, enabled, condition, test, hitCount, hits }
+        this.breakpoints = new Map();
+
+        // Symbol table (name -> value) for addresses and conditions
+        this.symbols = {};
+    }
+
+    // Use a symbol table, such as the assembler's labels and constants
+    setSymbols(symbols = {}) {
+        this.symbols = symbols;
+
+        // Breakpoints set on a label follow it to its new address, and
+        // conditions are compiled again against the new values
+        const breakpoints = [...this.breakpoints.values()];
+        this.breakpoints.clear();
+        for (const breakpoint of breakpoints) {
+            if (breakpoint.label && symbols[breakpoint.label] !== undefined) {
+                breakpoint.address = symbols[breakpoint.label] & 0xFFFF;
+            }
+            if (breakpoint.condition) {
+                try {
+                    breakpoint.test = this.compileCondition(breakpoint.condition);
+                } catch (e) {
+                    // Keep the old test if a name it used has gone
+                }
+            }
+            this.breakpoints.set(breakpoint.address, breakpoint);
+        }
+    }
+
+    // Resolve an address typed as a number or a label
+    resolveAddress(text) {
+        return resolveLocation(text, this.symbols);
+    }
+
+    // Add or replace a breakpoint. location is an address or label;
+    // options.condition is an expression that must be true to stop and
+    // options.hitCount the number of hits before it starts stopping.
+    add(location, options = {}) {
+        const { address, label } = typeof location === 'number'
+            ? { address: location & 0xFFFF, label: null }
+            : this.resolveAddress(location);
+        const condition = (options.condition || '').trim();
+        const hitCount = options.hitCount || 0;
+
+        if (!Number.isInteger(hitCount) || hitCount < 0) {
+            throw new Error(`Hit count must be a whole number: ${options.hitCount}`);
+        }
+
+        const breakpoint = {
+            address: address,
+            label: label,
+            enabled: true,
+            condition: condition,
+            test: condition ? this.compileCondition(condition) : null,
+            hitCount: hitCount,
+            hits: 0
+        };
+        this.breakpoints.set(address, breakpoint);
+        return breakpoint;
+    }
+
+    remove(address) {
+        return this.breakpoints.delete(address);
+    }
+
+    clear() {
+        this.breakpoints.clear();
+    }
+
+    setEnabled(address, enabled) {
+        const breakpoint = this.breakpoints.get(address);
+        if (breakpoint) {
+            breakpoint.enabled = enabled;
+        }
+    }
+
+    // Flip a plain breakpoint on or off at an address
+    toggle(address) {
+        if (this.breakpoints.has(address)) {
+            this.remove(address);
+            return false;
+        }
+        this.add(address);
+        return true;
+    }
+
+    get(address) {
+        return this.breakpoints.get(address);
+    }
+
+    // True if there is an enabled breakpoint at address
+    has(address) {
+        const breakpoint = this.breakpoints.get(address);
+        return !!breakpoint && breakpoint.enabled;
+    }
+
+    // Breakpoints sorted by address
+    list() {
+        return [...this.breakpoints.values()].sort((a, b) => a.address - b.address);
+    }
+
+    resetHits() {
+        for (const breakpoint of this.breakpoints.values()) {
+            breakpoint.hits = 0;
+        }
+    }
+
+    // Breakpoints and symbols as plain data, without compiled conditions
+    snapshot() {
+        return {
+            symbols: { ...this.symbols },
+            breakpoints: this.list().map(({ test, ...breakpoint }) => breakpoint)
+        };
+    }
+
+    // Replace everything with the contents of a snapshot(). Every condition
+    // is compiled before anything is replaced, so if one throws the
+    // breakpoints are left as they were.
+    restore(snapshot) {
+        const oldSymbols = this.symbols;
+        const breakpoints = new Map();
+        this.symbols = snapshot.symbols;
+        try {
+            for (const breakpoint of snapshot.breakpoints) {
+                breakpoints.set(breakpoint.address, {
+                    ...breakpoint,
+                    test: breakpoint.condition ? this.restoreTest(breakpoint) : null
+                });
+            }
+        } catch (e) {
+            this.symbols = oldSymbols;
+            throw e;
+        }
+        this.breakpoints = breakpoints;
+    }
+
+    // Compiled condition for a breakpoint being restored. As in
+    // setSymbols(), the current test is kept if a name it used has gone.
+    restoreTest(breakpoint) {
+        try {
+            return this.compileCondition(breakpoint.condition);
+        } catch (e) {
+            const current = this.breakpoints.get(breakpoint.address);
+            if (current && current.condition === breakpoint.condition && current.test) {
+                return current.test;
+            }
+            throw e;
+        }
+    }
+
+    // True if an enabled breakpoint at address has its condition met
+    // (hit counts are ignored)
+    matches(address, cpu) {
+        const breakpoint = this.breakpoints.get(address);
+        return !!breakpoint && breakpoint.enabled && (!breakpoint.test || !!breakpoint.test(cpu));
+    }
+
+    // Called when execution reaches address. Counts a hit when the
+    // condition holds and returns the breakpoint if execution should stop.
+    check(address, cpu) {
+        if (!this.matches(address, cpu)) {
+            return null;
+        }
+        const breakpoint = this.breakpoints.get(address);
+        breakpoint.hits++;
+        return breakpoint.hits >= breakpoint.hitCount ? breakpoint : null;
+    }
+
+    // Split a condition into tokens
+    tokenizeCondition(text) {
+        const tokens = [];
+        const pattern = /\s*(?:([0-9][0-9A-Z]*)|([A-Z_?@][A-Z0-9_?@]*)|(&&|\|\||==|!=|<=|>=|[<>!~&|^+\-()[\]]))/y;
+        const upper = text.toUpperCase();
+        let pos = 0;
+
+        while (pos < upper.length) {
+            if (/^\s*$/.test(upper.slice(pos))) break;
+            pattern.lastIndex = pos;
+            const match = pattern.exec(upper);
+            if (!match) {
+                throw new Error(`Unexpected character '${upper.slice(pos).trim()[0]}' in condition`);
+            }
+            pos = pattern.lastIndex;
+
+            if (match[1] !== undefined) {
+                const value = assembler.parseNumber(match[1]);
+                if (value === null) {
+                    throw new Error(`Invalid number in condition: ${match[1]}`);
+                }
+                tokens.push({ type: 'number', value: value });
+            } else if (match[2] !== undefined) {
+                tokens.push({ type: 'name', value: match[2] });
+            } else {
+                tokens.push({ type: 'operator', value: match[3] });
+            }
+        }
+        return tokens;
+    }
+
+    // Compile a condition such as "A == 0FFH && CY" or "[2050H] != 0" into
+    // a function of the simulator. Throws an Error if it doesn't parse.
+    compileCondition(text) {
+        const tokens = this.tokenizeCondition(text);
+        let pos = 0;
+
+        const accept = (value) => {
+            const token = tokens[pos];
+            if (token && token.type === 'operator' && token.value === value) {
+                pos++;
+                return true;
+            }
+            return false;
+        };
+
+        const parsePrimary = () => {
+            const token = tokens[pos++];
+            if (!token) {
+                throw new Error('Incomplete condition');
+            }
+            if (token.type === 'number') {
+                return () => token.value;
+            }
+            if (token.type === 'name') {
+                if (CONDITION_NAMES[token.value]) {
+                    return CONDITION_NAMES[token.value];
+                }
+                if (this.symbols[token.value] !== undefined) {
+                    const value = this.symbols[token.value];
+                    return () => value;
+                }
+                // Bare hex such as FF, as in the assembler
+                const literal = assembler.parseNumber(token.value);
+                if (literal === null) {
+                    throw new Error(`Unknown name in condition: ${token.value}`);
+                }
+                return () => literal;
+            }
+            if (token.value === '(') {
+                const inner = parseBinary(0);
+                if (!accept(')')) {
+                    throw new Error("Missing ')' in condition");
+                }
+                return inner;
+            }
+            if (token.value === '[') {
+                // Memory byte at an address
+                const address = parseBinary(0);
+                if (!accept(']')) {
+                    throw new Error("Missing ']' in condition");
+                }
+                return cpu => cpu.memory[address(cpu) & 0xFFFF];
+            }
+            throw new Error(`Unexpected '${token.value}' in condition`);
+        };
+
+        const parseUnary = () => {
+            if (accept('!')) {
+                const operand = parseUnary();
+                return cpu => (operand(cpu) ? 0 : 1);
+            }
+            if (accept('-')) {
+                const operand = parseUnary();
+                return cpu => (-operand(cpu)) & 0xFFFF;
+            }
+            if (accept('~')) {
+                const operand = parseUnary();
+                return cpu => (~operand(cpu)) & 0xFFFF;
+            }
+            return parsePrimary();
+        };
+
+        const parseBinary = (level) => {
+            if (level >= CONDITION_PRECEDENCE.length) {
+                return parseUnary();
+            }
+            let left = parseBinary(level + 1);
+            let operator;
+            while ((operator = CONDITION_PRECEDENCE[level].find(op => accept(op)))) {
+                left = this.combine(operator, left, parseBinary(level + 1));
+            }
+            return left;
+        };
+
+        const test = parseBinary(0);
+        if (pos < tokens.length) {
+            throw new Error(`Unexpected '${tokens[pos].value}' in condition`);
+        }
+        return test;
+    }
+
+    // Build the function for a binary operator
+    combine(operator, left, right) {
+        switch (operator) {
+            case '||': return cpu => (left(cpu) || right(cpu) ? 1 : 0);
+            case '&&': return cpu => (left(cpu) && right(cpu) ? 1 : 0);
+            case '==': return cpu => (left(cpu) === right(cpu) ? 1 : 0);
+            case '!=': return cpu => (left(cpu) !== right(cpu) ? 1 : 0);
+            case '<': return cpu => (left(cpu) < right(cpu) ? 1 : 0);
+            case '<=': return cpu => (left(cpu) <= right(cpu) ? 1 : 0);
+            case '>': return cpu => (left(cpu) > right(cpu) ? 1 : 0);
+            case '>=': return cpu => (left(cpu) >= right(cpu) ? 1 : 0);
+            case '|': return cpu => left(cpu) | right(cpu);
+            case '^': return cpu => left(cpu) ^ right(cpu);
+            case '&': return cpu => left(cpu) & right(cpu);
+            case '+': return cpu => (left(cpu) + right(cpu)) & 0xFFFF;
+            default: return cpu => (left(cpu) - right(cpu)) & 0xFFFF;
+        }
+    }
+}
+
+class WatchpointManager {
+    constructor() {
+        // id -> { id, start, end, label, type, enabled, hits }
+        this.watchpoints = new Map();
+        this.nextId = 1;
+
+        // Symbol table (name -> value) for addresses
+        this.symbols = {};
+
+        // Hits not yet collected by the simulator, and the most recent hits
+        this.pending = [];
+        this.log = [];
+        this.logLimit = 100;
+    }
+
+    setSymbols(symbols = {}) {
+        this.symbols = symbols;
+
+        // Watchpoints set on a label follow it to its new address
+        for (const watchpoint of this.watchpoints.values()) {
+            if (watchpoint.label && symbols[watchpoint.label] !== undefined) {
+                const length = watchpoint.end - watchpoint.start;
+                watchpoint.start = symbols[watchpoint.label] & 0xFFFF;
+                watchpoint.end = Math.min(watchpoint.start + length, 0xFFFF);
+            }
+        }
+    }
+
+    // Add a watchpoint. location is an address, a label or a range such as
+    // "2050H-205FH"; type is one of WATCH_TYPES.
+    add(location, type = 'write') {
+        if (!WATCH_TYPES.includes(type)) {
+            throw new Error(`Unknown watchpoint type: ${type}`);
+        }
+
+        let start, end, label;
+        if (typeof location === 'number') {
+            start = end = location & 0xFFFF;
+            label = null;
+        } else {
+            const [first, last] = location.split('-');
+            ({ address: start, label } = resolveLocation(first, this.symbols));
+            end = last !== undefined ? resolveLocation(last, this.symbols).address : start;
+            if (end < start) {
+                throw new Error(`Range end ${last.trim()} is before its start`);
+            }
+        }
+
+        const watchpoint = {
+            id: this.nextId++,
+            start: start,
+            end: end,
+            label: label,
+            type: type,
+            enabled: true,
+            hits: 0
+        };
+        this.watchpoints.set(watchpoint.id, watchpoint);
+        return watchpoint;
+    }
+
+    remove(id) {
+        return this.watchpoints.delete(id);
+    }
+
+    clear() {
+        this.watchpoints.clear();
+        this.pending = [];
+        this.log = [];
+    }
+
+    setEnabled(id, enabled) {
+        const watchpoint = this.watchpoints.get(id);
+        if (watchpoint) {
+            watchpoint.enabled = enabled;
+        }
+    }
+
+    // Watchpoints sorted by start address
+    list() {
+        return [...this.watchpoints.values()].sort((a, b) => a.start - b.start || a.id - b.id);
+    }
+
+    resetHits() {
+        for (const watchpoint of this.watchpoints.values()) {
+            watchpoint.hits = 0;
+        }
+        this.pending = [];
+        this.log = [];
+    }
+
+    // Watchpoints, symbols and the hit log as plain data
+    snapshot() {
+        return {
+            symbols: { ...this.symbols },
+            nextId: this.nextId,
+            watchpoints: this.list().map(watchpoint => ({ ...watchpoint })),
+            log: [...this.log]
+        };
+    }
+
+    // Replace everything with the contents of a snapshot()
+    restore(snapshot) {
+        this.symbols = snapshot.symbols;
+        this.nextId = snapshot.nextId;
+        this.watchpoints = new Map(snapshot.watchpoints.map(watchpoint => [watchpoint.id, { ...watchpoint }]));
+        this.pending = [];
+        this.log = [...snapshot.log];
+    }
+
+    // Called by the simulator for every data read or write. access is
+    // 'read' or 'write'; pc is the address of the instruction doing it.
+    check(access, address, oldValue, newValue, pc) {
+        if (this.watchpoints.size === 0) return;
+
+        for (const watchpoint of this.watchpoints.values()) {
+            if (!watchpoint.enabled || address < watchpoint.start || address > watchpoint.end) {
+                continue;
+            }
+            const triggered = watchpoint.type === 'access' ||
+                watchpoint.type === access ||
+                (watchpoint.type === 'change' && access === 'write' && oldValue !== newValue);
+            if (!triggered) continue;
+
+            watchpoint.hits++;
+            const hit = {
+                watchpoint: watchpoint,
+                access: access,
+                pc: pc,
+                address: address,
+                oldValue: oldValue,
+                newValue: newValue
+            };
+            this.pending.push(hit);
+            this.log.push(hit);
+            if (this.log.length > this.logLimit) {
+                this.log.splice(0, this.log.length - this.logLimit);
+            }
+        }
+    }
+
+    // Return and forget the hits since the last call
+    takeHits() {
+        if (this.pending.length === 0) {
+            return NO_WATCH_HITS;
+        }
+        const hits = this.pending;
+        this.pending = [];
+        return hits;
+    }
+}
+
+// Export for Node (see cli.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        CONDITION_NAMES, CONDITION_PRECEDENCE, WATCH_TYPES, NO_WATCH_HITS, resolveLocation,
+        BreakpointManager, WatchpointManager
+    };
+}
@@ -0,0 +1,348 @@
+// Command-line runner: assemble a program, write its HEX, listing or
+// binary, and run it without the page. See "Command Line" in README.md.
+
+const fs = require('fs');
+const path = require('path');
+
+// The browser scripts expect each other as globals, in this order
+const SCRIPTS = ['instructions.js', 'assembler.js', 'breakpoints.js', 'memorymap.js', 'trace.js',
+    'decoder.js', 'simulator.js', 'intelhex.js'];
+for (const script of SCRIPTS) {
+    Object.assign(globalThis, require(path.join(__dirname, script)));
+}
+
+// Exit codes
+const EXIT_OK = 0;
+const EXIT_USAGE = 1;       // Bad arguments or unreadable files
+const EXIT_ASSEMBLY = 2;    // The program has assembly errors
+const EXIT_NOT_HALTED = 3;  // The run faulted or reached the step limit
+
+const DEFAULT_MAX_STEPS = 1000000;
+
+const USAGE = `Usage: node cli.js PROGRAM.asm [options]
+
+Output files (- writes to standard output):
+  --hex FILE           Intel HEX of the program
+  --listing FILE       assembler listing
+  --bin FILE           binary image from the lowest to the highest address used
+
+Running:
+  --run                run the program after assembling it
+  --max-steps N        stop after N instructions (default ${DEFAULT_MAX_STEPS})
+  --start ADDR         start address (default: the program's ORG or END address)
+  --input PORT=B,B...  bytes IN reads from PORT, in order; the last one repeats
+  --load ADDR=FILE     copy a binary file into memory before the run
+  --set ADDR=B,B...    write bytes into memory before the run
+  --undocumented       accept and run the undocumented 8085 opcodes
+  --fast               run in fast mode (no trace or Step Back history)
+
+Report (after --run):
+  --dump START-END     print a memory range; may be given more than once
+  --json               print the report as JSON
+
+Addresses and bytes are hex unless they end in D (decimal) or B (binary),
+as in the assembler. The --max-steps count is always decimal.`;
+
+class UsageError extends Error {}
+
+// Parse a number as the assembler does: hex by default
+function parseValue(text, max, what) {
+    const value = assembler.parseNumber(String(text));
+    if (value === null || value > max) {
+        throw new UsageError(`Invalid ${what}: ${text}`);
+    }
+    return value;
+}
+
+// Split "KEY=VALUE" arguments
+function splitAssignment(text, option) {
+    const index = text.indexOf('=');
+    if (index <= 0) {
+        throw new UsageError(`${option} expects KEY=VALUE, got ${text}`);
+    }
+    return [text.slice(0, index), text.slice(index + 1)];
+}
+
+function parseBytes(text, what) {
+    return text.split(',').map(item => parseValue(item, 0xFF, what));
+}
+
+function parseArguments(args) {
+    const options = {
+        source: null,
+        hex: null,
+        listing: null,
+        bin: null,
+        run: false,
+        maxSteps: DEFAULT_MAX_STEPS,
+        start: null,
+        inputs: new Map(),   // port -> bytes
+        loads: [],           // {address, file}
+        sets: [],            // {address, bytes}
+        undocumented: false,
+        fast: false,
+        dumps: [],           // {start, end}
+        json: false
+    };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        const next = () => {
+            if (i + 1 >= args.length) {
+                throw new UsageError(`${arg} needs a value`);
+            }
+            return args[++i];
+        };
+
+        switch (arg) {
+            case '--hex':
+            case '--listing':
+            case '--bin':
+                options[arg.slice(2)] = next();
+                break;
+            case '--run':
+                options.run = true;
+                break;
+            case '--max-steps': {
+                // A count rather than an address, so decimal (see USAGE)
+                const text = next();
+                options.maxSteps = Number(text);
+                if (!Number.isInteger(options.maxSteps) || options.maxSteps < 1) {
+                    throw new UsageError(`Invalid step limit: ${text}`);
+                }
+                break;
+            }
+            case '--start':
+                options.start = parseValue(next(), 0xFFFF, 'start address');
+                break;
+            case '--input': {
+                const [port, bytes] = splitAssignment(next(), arg);
+                options.inputs.set(parseValue(port, 0xFF, 'port'), parseBytes(bytes, 'input byte'));
+                break;
+            }
+            case '--load': {
+                const [address, file] = splitAssignment(next(), arg);
+                options.loads.push({ address: parseValue(address, 0xFFFF, 'address'), file: file });
+                break;
+            }
+            case '--set': {
+                const [address, bytes] = splitAssignment(next(), arg);
+                options.sets.push({ address: parseValue(address, 0xFFFF, 'address'), bytes: parseBytes(bytes, 'byte') });
+                break;
+            }
+            case '--undocumented':
+                options.undocumented = true;
+                break;
+            case '--fast':
+                options.fast = true;
+                break;
+            case '--dump': {
+                const text = next();
+                const [start, end = start] = text.split('-');
+                const range = { start: parseValue(start, 0xFFFF, 'address'), end: parseValue(end, 0xFFFF, 'address') };
+                if (range.end < range.start) {
+                    throw new UsageError(`Invalid memory range: ${text}`);
+                }
+                options.dumps.push(range);
+                break;
+            }
+            case '--json':
+                options.json = true;
+                break;
+            case '-h':
+            case '--help':
+                options.help = true;
+                break;
+            default:
+                if (arg.startsWith('-') || options.source) {
+                    throw new UsageError(`Unknown argument: ${arg}`);
+                }
+                options.source = arg;
+        }
+    }
+    return options;
+}
+
+function readFile(file, encoding) {
+    try {
+        return fs.readFileSync(file, encoding);
+    } catch (e) {
+        throw new UsageError(`Cannot read ${file}: ${e.message}`);
+    }
+}
+
+function writeOutput(file, data) {
+    if (file === '-') {
+        process.stdout.write(data);
+        return;
+    }
+    try {
+        fs.writeFileSync(file, data);
+    } catch (e) {
+        throw new UsageError(`Cannot write ${file}: ${e.message}`);
+    }
+}
+
+// The assembled bytes from the lowest to the highest address, gaps as 00H
+function programImage(machineCode) {
+    if (machineCode.length === 0) {
+        return Buffer.alloc(0);
+    }
+    const addresses = machineCode.map(item => item.address);
+    const low = Math.min(...addresses);
+    const image = Buffer.alloc(Math.max(...addresses) - low + 1);
+    for (const item of machineCode) {
+        image[item.address - low] = item.byte;
+    }
+    return image;
+}
+
+// Give every port a device: scripted ports return their bytes in turn,
+// and all OUT writes are recorded in outputs as {port, value}
+function attachPorts(inputs, outputs) {
+    for (let port = 0; port < 256; port++) {
+        const bytes = inputs.get(port);
+        let next = 0;
+        simulator.mapPort(port, {
+            read: bytes ? () => bytes[Math.min(next++, bytes.length - 1)] : undefined,
+            write: value => outputs.push({ port: port, value: value })
+        });
+    }
+}
+
+function runProgram(options) {
+    simulator.setMode(options.fast ? 'fast' : 'verbose');
+    simulator.reset();
+    simulator.loadProgram(assembler.machineCode, assembler.startAddress, assembler.reserved);
+    if (options.start !== null) {
+        simulator.PC = options.start;
+    }
+
+    for (const { address, file } of options.loads) {
+        try {
+            simulator.writeBlock(address, readFile(file));
+        } catch (e) {
+            throw new UsageError(e.message);
+        }
+    }
+    for (const { address, bytes } of options.sets) {
+        try {
+            simulator.writeBlock(address, bytes);
+        } catch (e) {
+            throw new UsageError(e.message);
+        }
+    }
+
+    const outputs = [];
+    attachPorts(options.inputs, outputs);
+
+    const steps = simulator.run(options.maxSteps);
+    const state = simulator.getState();
+    return {
+        stopReason: simulator.stopReason.type,
+        fault: simulator.fault ? simulator.fault.message : null,
+        steps: steps,
+        cycles: state.cycles,
+        registers: { ...state.registers, SP: state.SP, PC: state.PC },
+        flags: state.flags,
+        outputs: outputs,
+        warnings: simulator.warnings.toArray().map(warning => ({ address: warning.address, message: warning.message })),
+        warningsDropped: simulator.warningTotal - simulator.warnings.count,
+        memory: options.dumps.map(range => ({
+            start: range.start,
+            end: range.end,
+            bytes: [...simulator.readBlock(range.start, range.end)]
+        }))
+    };
+}
+
+function formatReport(report) {
+    const hex = (value, digits) => value.toString(16).toUpperCase().padStart(digits, '0');
+    const lines = [];
+
+    let stop = `Stopped: ${report.stopReason} after ${report.steps} instructions (${report.cycles} T-states) ` +
+        `at ${hex(report.registers.PC, 4)}H`;
+    if (report.fault) {
+        stop += ` - ${report.fault}`;
+    }
+    lines.push(stop);
+
+    const registers = ['A', 'B', 'C', 'D', 'E', 'H', 'L'].map(name => `${name}=${hex(report.registers[name], 2)}`);
+    lines.push(`${registers.join(' ')} SP=${hex(report.registers.SP, 4)} PC=${hex(report.registers.PC, 4)}`);
+    lines.push(Object.entries(report.flags).map(([name, value]) => `${name}=${value}`).join(' '));
+
+    if (report.outputs.length > 0) {
+        lines.push('Output:');
+        for (const { port, value } of report.outputs) {
+            lines.push(`  OUT ${hex(port, 2)}H: ${hex(value, 2)}H`);
+        }
+    }
+    if (report.warnings.length > 0) {
+        lines.push('Warnings:');
+        if (report.warningsDropped > 0) {
+            lines.push(`  (${report.warningsDropped} earlier warnings dropped)`);
+        }
+        for (const { address, message } of report.warnings) {
+            lines.push(`  ${hex(address, 4)}H: ${message}`);
+        }
+    }
+
+    for (const { start, end, bytes } of report.memory) {
+        lines.push(`Memory ${hex(start, 4)}H-${hex(end, 4)}H:`);
+        for (let offset = 0; offset < bytes.length; offset += 16) {
+            const row = bytes.slice(offset, offset + 16).map(byte => hex(byte, 2)).join(' ');
+            lines.push(`  ${hex(start + offset, 4)}: ${row}`);
+        }
+    }
+    return lines.join('\n') + '\n';
+}
+
+function main(args) {
+    const options = parseArguments(args);
+    if (options.help) {
+        process.stdout.write(USAGE + '\n');
+        return EXIT_OK;
+    }
+    if (!options.source) {
+        throw new UsageError('No program given');
+    }
+
+    assembler.undocumented = options.undocumented;
+    simulator.undocumented = options.undocumented;
+
+    const source = readFile(options.source, 'utf8').replace(/\r\n?/g, '\n');
+    const result = assembler.assemble(source);
+    if (options.listing) {
+        writeOutput(options.listing, assembler.generateListing());
+    }
+    if (!result.success) {
+        for (const error of result.errors) {
+            process.stderr.write(`${options.source}:${error.line}: ${error.message}\n`);
+        }
+        return EXIT_ASSEMBLY;
+    }
+
+    if (options.hex) {
+        writeOutput(options.hex, intelHex.encode(result.machineCode, assembler.startAddress));
+    }
+    if (options.bin) {
+        writeOutput(options.bin, programImage(result.machineCode));
+    }
+    if (!options.run) {
+        return EXIT_OK;
+    }
+
+    const report = runProgram(options);
+    process.stdout.write(options.json ? JSON.stringify(report, null, 2) + '\n' : formatReport(report));
+    return report.stopReason === 'halt' ? EXIT_OK : EXIT_NOT_HALTED;
+}
+
+try {
+    process.exitCode = main(process.argv.slice(2));
+} catch (e) {
+    if (!(e instanceof UsageError)) {
+        throw e;
+    }
+    process.stderr.write(`Error: ${e.message}\n\n${USAGE}\n`);
+    process.exitCode = EXIT_USAGE;
+}
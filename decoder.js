@@ -0,0 +1,397 @@
+// Instruction decoder: one table entry per opcode saying how many bytes
+// the instruction takes, what it does and how to write it out
+
+// Register fields of an opcode (bits 5-3 and 2-0) in encoding order.
+// Code 6 is M, the memory byte at HL.
+const REGISTER_CODES = ['B', 'C', 'D', 'E', 'H', 'L', 'M', 'A'];
+const REG_B = 0;
+const REG_C = 1;
+const REG_D = 2;
+const REG_E = 3;
+const REG_H = 4;
+const REG_L = 5;
+const REG_M = 6;
+const REG_A = 7;
+
+// Register pair fields (bits 5-4); 3 is SP, or PSW for PUSH and POP
+const PAIR_NAMES = ['B', 'D', 'H', 'SP'];
+
+// Condition fields (bits 5-3) of Jcc, Ccc and Rcc
+const CONDITION_CODES = ['NZ', 'Z', 'NC', 'C', 'PO', 'PE', 'P', 'M'];
+const CONDITION_TESTS = [
+    cpu => !cpu.flags.Z,
+    cpu => !!cpu.flags.Z,
+    cpu => !cpu.flags.CY,
+    cpu => !!cpu.flags.CY,
+    cpu => !cpu.flags.P,
+    cpu => !!cpu.flags.P,
+    cpu => !cpu.flags.S,
+    cpu => !!cpu.flags.S
+];
+
+// S, Z and P of every byte value, in their PSW bit positions
+const SZP_FLAGS = new Uint8Array(256);
+for (let value = 0; value < 256; value++) {
+    let bits = 0;
+    for (let temp = value; temp; temp >>= 1) {
+        bits += temp & 1;
+    }
+    SZP_FLAGS[value] = (value & 0x80) | (value === 0 ? 0x40 : 0) | (bits % 2 === 0 ? 0x04 : 0);
+}
+
+// Masks of the registers an instruction reads or writes, one bit per
+// register code
+const REGISTER_BITS_HL = (1 << REG_H) | (1 << REG_L);
+
+// Registers read to use a register field; M reads H and L for its address
+function registerReadBits(code) {
+    return code === REG_M ? REGISTER_BITS_HL : 1 << code;
+}
+
+// Registers written through a register field; writing M changes memory
+function registerWriteBits(code) {
+    return code === REG_M ? 0 : 1 << code;
+}
+
+function pairBits(pair) {
+    return pair === 3 ? 0 : 3 << (pair * 2);
+}
+
+function hexByte(value) {
+    return value.toString(16).toUpperCase().padStart(2, '0') + 'H';
+}
+
+// A decode table entry. size is 1, 2 (8-bit operand) or 3 (16-bit);
+// execute(cpu, operand) runs the instruction once its bytes are fetched.
+// condition(cpu), for conditional instructions, picks the taken timing.
+// reads and writes are register bit masks for the uninitialized checks.
+function decodeEntry(mnemonic, size, execute, reads = 0, writes = 0, condition = null) {
+    return {
+        mnemonic: mnemonic,
+        size: size,
+        execute: execute,
+        reads: reads,
+        writes: writes,
+        condition: condition,
+        tStates: 4
+    };
+}
+
+// Mnemonic with its operand, e.g. "MVI A, 05H" or "JMP 2000H"
+function formatInstruction(entry, operand) {
+    if (entry.size === 1) {
+        return entry.mnemonic;
+    }
+    const value = operand.toString(16).toUpperCase().padStart(entry.size === 2 ? 2 : 4, '0') + 'H';
+    return entry.mnemonic + (entry.mnemonic.includes(' ') ? ', ' : ' ') + value;
+}
+
+function buildDecodeTable() {
+    const table = [];
+
+    // Undefined opcodes execute as a NOP
+    for (let opcode = 0; opcode < 256; opcode++) {
+        table.push(decodeEntry(`Unknown opcode: ${hexByte(opcode)}`, 1, () => {}));
+    }
+
+    const A = 1 << REG_A;
+    const HL = REGISTER_BITS_HL;
+
+    table[0x00] = decodeEntry('NOP', 1, () => {});
+
+    // Register pair instructions
+    for (let pair = 0; pair < 4; pair++) {
+        const name = PAIR_NAMES[pair];
+        const high = pair * 2;
+        const bits = pairBits(pair);
+
+        if (pair === 3) {
+            table[0x31] = decodeEntry('LXI SP', 3, (cpu, data) => cpu.loadStackPointer(data));
+            table[0x33] = decodeEntry('INX SP', 1, cpu => {
+                cpu.SP = (cpu.SP + 1) & 0xFFFF;
+                if (cpu.undocumented) cpu.flags.K = cpu.SP === 0x0000 ? 1 : 0;
+            });
+            table[0x3B] = decodeEntry('DCX SP', 1, cpu => {
+                cpu.SP = (cpu.SP - 1) & 0xFFFF;
+                if (cpu.undocumented) cpu.flags.K = cpu.SP === 0xFFFF ? 1 : 0;
+            });
+            table[0x39] = decodeEntry('DAD SP', 1, cpu => cpu.addToHL(cpu.SP), HL, HL);
+            table[0xF5] = decodeEntry('PUSH PSW', 1, cpu => cpu.pushStack((cpu.regs[REG_A] << 8) | cpu.getFlagsAsByte()), A);
+            table[0xF1] = decodeEntry('POP PSW', 1, cpu => {
+                const value = cpu.popStack();
+                cpu.regs[REG_A] = value >> 8;
+                cpu.setFlagsFromByte(value & 0xFF);
+            }, 0, A);
+            continue;
+        }
+
+        table[0x01 | pair << 4] = decodeEntry(`LXI ${name}`, 3, (cpu, data) => cpu.setPair(high, data), 0, bits);
+        // INX and DCX only report rollover in K in undocumented mode
+        table[0x03 | pair << 4] = decodeEntry(`INX ${name}`, 1, cpu => {
+            const value = (cpu.getPair(high) + 1) & 0xFFFF;
+            cpu.setPair(high, value);
+            if (cpu.undocumented) cpu.flags.K = value === 0x0000 ? 1 : 0;
+        }, bits, bits);
+        table[0x0B | pair << 4] = decodeEntry(`DCX ${name}`, 1, cpu => {
+            const value = (cpu.getPair(high) - 1) & 0xFFFF;
+            cpu.setPair(high, value);
+            if (cpu.undocumented) cpu.flags.K = value === 0xFFFF ? 1 : 0;
+        }, bits, bits);
+        table[0x09 | pair << 4] = decodeEntry(`DAD ${name}`, 1, cpu => cpu.addToHL(cpu.getPair(high)), bits | HL, HL);
+        table[0xC5 | pair << 4] = decodeEntry(`PUSH ${name}`, 1, cpu => cpu.pushStack(cpu.getPair(high)), bits);
+        table[0xC1 | pair << 4] = decodeEntry(`POP ${name}`, 1, cpu => cpu.setPair(high, cpu.popStack()), 0, bits);
+
+        if (pair < 2) {
+            table[0x02 | pair << 4] = decodeEntry(`STAX ${name}`, 1,
+                cpu => cpu.writeMemory(cpu.getPair(high), cpu.regs[REG_A]), bits | A);
+            table[0x0A | pair << 4] = decodeEntry(`LDAX ${name}`, 1,
+                cpu => { cpu.regs[REG_A] = cpu.readMemory(cpu.getPair(high)); }, bits, A);
+        }
+    }
+
+    // Single register instructions: INR, DCR, MVI
+    for (let code = 0; code < 8; code++) {
+        const name = REGISTER_CODES[code];
+        const reads = registerReadBits(code);
+        const writes = registerWriteBits(code);
+
+        if (code === REG_M) {
+            table[0x34] = decodeEntry('INR M', 1, cpu => cpu.setM(cpu.increment(cpu.getM())), HL);
+            table[0x35] = decodeEntry('DCR M', 1, cpu => cpu.setM(cpu.decrement(cpu.getM())), HL);
+            table[0x36] = decodeEntry('MVI M', 2, (cpu, data) => cpu.setM(data), HL);
+            continue;
+        }
+        table[0x04 | code << 3] = decodeEntry(`INR ${name}`, 1,
+            cpu => { cpu.regs[code] = cpu.increment(cpu.regs[code]); }, reads, writes);
+        table[0x05 | code << 3] = decodeEntry(`DCR ${name}`, 1,
+            cpu => { cpu.regs[code] = cpu.decrement(cpu.regs[code]); }, reads, writes);
+        table[0x06 | code << 3] = decodeEntry(`MVI ${name}`, 2,
+            (cpu, data) => { cpu.regs[code] = data; }, 0, writes);
+    }
+
+    // MOV r1,r2 (76H, which would be MOV M,M, is HLT)
+    for (let dst = 0; dst < 8; dst++) {
+        for (let src = 0; src < 8; src++) {
+            const opcode = 0x40 | dst << 3 | src;
+            if (opcode === 0x76) continue;
+
+            let execute;
+            if (dst === REG_M) {
+                execute = cpu => cpu.setM(cpu.regs[src]);
+            } else if (src === REG_M) {
+                execute = cpu => { cpu.regs[dst] = cpu.getM(); };
+            } else {
+                execute = cpu => { cpu.regs[dst] = cpu.regs[src]; };
+            }
+            const reads = registerReadBits(src) | (dst === REG_M ? HL : 0);
+            table[opcode] = decodeEntry(`MOV ${REGISTER_CODES[dst]},${REGISTER_CODES[src]}`, 1,
+                execute, reads, registerWriteBits(dst));
+        }
+    }
+    table[0x76] = decodeEntry('HLT', 1, cpu => { cpu.halted = true; });
+
+    // Arithmetic and logic on A: register forms 80H-BFH, immediate forms
+    // C6H-FEH. CMP and CPI only set the flags.
+    const operations = [
+        ['ADD', 'ADI', (cpu, value) => cpu.add(value, 0)],
+        ['ADC', 'ACI', (cpu, value) => cpu.add(value, cpu.flags.CY)],
+        ['SUB', 'SUI', (cpu, value) => cpu.subtract(value, 0, true)],
+        ['SBB', 'SBI', (cpu, value) => cpu.subtract(value, cpu.flags.CY, true)],
+        ['ANA', 'ANI', (cpu, value) => cpu.and(value)],
+        ['XRA', 'XRI', (cpu, value) => cpu.xor(value)],
+        ['ORA', 'ORI', (cpu, value) => cpu.or(value)],
+        ['CMP', 'CPI', (cpu, value) => cpu.subtract(value, 0, false)]
+    ];
+    operations.forEach(([mnemonic, immediate, operate], index) => {
+        const writes = mnemonic === 'CMP' ? 0 : A;
+        for (let code = 0; code < 8; code++) {
+            const opcode = 0x80 | index << 3 | code;
+            const execute = code === REG_M
+                ? cpu => operate(cpu, cpu.getM())
+                : cpu => operate(cpu, cpu.regs[code]);
+            // SUB A and XRA A clear A whatever it held, so they don't read it
+            const reads = opcode === 0x97 || opcode === 0xAF ? 0 : A | registerReadBits(code);
+            table[opcode] = decodeEntry(`${mnemonic} ${REGISTER_CODES[code]}`, 1, execute, reads, writes);
+        }
+        table[0xC6 | index << 3] = decodeEntry(immediate, 2, operate, A, writes);
+    });
+
+    // Rotates and the other accumulator and carry instructions
+    table[0x07] = decodeEntry('RLC', 1, cpu => {
+        const a = cpu.regs[REG_A];
+        cpu.flags.CY = a >> 7;
+        cpu.regs[REG_A] = (a << 1) | (a >> 7);
+    }, A, A);
+    table[0x0F] = decodeEntry('RRC', 1, cpu => {
+        const a = cpu.regs[REG_A];
+        cpu.flags.CY = a & 1;
+        cpu.regs[REG_A] = (a >> 1) | ((a & 1) << 7);
+    }, A, A);
+    table[0x17] = decodeEntry('RAL', 1, cpu => {
+        const a = cpu.regs[REG_A];
+        cpu.regs[REG_A] = (a << 1) | cpu.flags.CY;
+        cpu.flags.CY = a >> 7;
+    }, A, A);
+    table[0x1F] = decodeEntry('RAR', 1, cpu => {
+        const a = cpu.regs[REG_A];
+        cpu.regs[REG_A] = (a >> 1) | (cpu.flags.CY << 7);
+        cpu.flags.CY = a & 1;
+    }, A, A);
+    table[0x27] = decodeEntry('DAA', 1, cpu => cpu.decimalAdjust(), A, A);
+    table[0x2F] = decodeEntry('CMA', 1, cpu => { cpu.regs[REG_A] = ~cpu.regs[REG_A]; }, A, A);
+    table[0x37] = decodeEntry('STC', 1, cpu => { cpu.flags.CY = 1; });
+    table[0x3F] = decodeEntry('CMC', 1, cpu => { cpu.flags.CY = cpu.flags.CY ? 0 : 1; });
+
+    // Direct addressing
+    table[0x22] = decodeEntry('SHLD', 3, (cpu, addr) => {
+        cpu.writeMemory(addr, cpu.regs[REG_L]);
+        cpu.writeMemory((addr + 1) & 0xFFFF, cpu.regs[REG_H]);
+    }, HL);
+    table[0x2A] = decodeEntry('LHLD', 3, (cpu, addr) => {
+        cpu.regs[REG_L] = cpu.readMemory(addr);
+        cpu.regs[REG_H] = cpu.readMemory(addr + 1);
+    }, 0, HL);
+    table[0x32] = decodeEntry('STA', 3, (cpu, addr) => cpu.writeMemory(addr, cpu.regs[REG_A]), A);
+    table[0x3A] = decodeEntry('LDA', 3, (cpu, addr) => { cpu.regs[REG_A] = cpu.readMemory(addr); }, 0, A);
+
+    // Jumps, calls, returns and restarts
+    table[0xC3] = decodeEntry('JMP', 3, (cpu, addr) => { cpu.PC = addr; });
+    table[0xCD] = decodeEntry('CALL', 3, (cpu, addr) => cpu.call(addr));
+    table[0xC9] = decodeEntry('RET', 1, cpu => { cpu.PC = cpu.popStack(); });
+    for (let index = 0; index < 8; index++) {
+        const condition = CONDITION_CODES[index];
+        const test = CONDITION_TESTS[index];
+        table[0xC2 | index << 3] = decodeEntry(`J${condition}`, 3, (cpu, addr) => {
+            if (test(cpu)) cpu.PC = addr;
+        }, 0, 0, test);
+        table[0xC4 | index << 3] = decodeEntry(`C${condition}`, 3, (cpu, addr) => {
+            if (test(cpu)) cpu.call(addr);
+        }, 0, 0, test);
+        table[0xC0 | index << 3] = decodeEntry(`R${condition}`, 1, cpu => {
+            if (test(cpu)) cpu.PC = cpu.popStack();
+        }, 0, 0, test);
+        table[0xC7 | index << 3] = decodeEntry(`RST ${index}`, 1, cpu => cpu.call(index * 8));
+    }
+    table[0xE9] = decodeEntry('PCHL', 1, cpu => { cpu.PC = cpu.getPair(REG_H); }, HL);
+
+    // Stack, exchange, I/O and machine control
+    table[0xE3] = decodeEntry('XTHL', 1, cpu => {
+        const hl = cpu.getPair(REG_H);
+        cpu.regs[REG_L] = cpu.readMemory(cpu.SP);
+        cpu.regs[REG_H] = cpu.readMemory(cpu.SP + 1);
+        cpu.writeMemory(cpu.SP, hl & 0xFF);
+        cpu.writeMemory((cpu.SP + 1) & 0xFFFF, hl >> 8);
+    }, HL, HL);
+    table[0xF9] = decodeEntry('SPHL', 1, cpu => cpu.loadStackPointer(cpu.getPair(REG_H)), HL);
+    table[0xEB] = decodeEntry('XCHG', 1, cpu => {
+        const hl = cpu.getPair(REG_H);
+        cpu.setPair(REG_H, cpu.getPair(REG_D));
+        cpu.setPair(REG_D, hl);
+    }, HL | pairBits(1), HL | pairBits(1));
+    table[0xD3] = decodeEntry('OUT', 2, (cpu, port) => cpu.writePort(port, cpu.regs[REG_A]), A);
+    table[0xDB] = decodeEntry('IN', 2, (cpu, port) => { cpu.regs[REG_A] = cpu.readPort(port); }, 0, A);
+    table[0xF3] = decodeEntry('DI', 1, cpu => {
+        cpu.interrupts.enabled = 0;
+        cpu.interrupts.enabledBeforeTrap = null;
+    });
+    table[0xFB] = decodeEntry('EI', 1, cpu => {
+        cpu.interrupts.enabled = 1;
+        cpu.interrupts.enabledBeforeTrap = null;
+        cpu.eiDelay = true;
+    });
+    table[0x20] = decodeEntry('RIM', 1, cpu => cpu.readInterruptMask(), 0, A);
+    table[0x30] = decodeEntry('SIM', 1, cpu => cpu.setInterruptMask(cpu.regs[REG_A]), A);
+
+    table.forEach((entry, opcode) => {
+        entry.tStates = T_STATES[opcode];
+    });
+    return table;
+}
+
+// The table with the undocumented 8085 opcodes filled in
+function buildUndocumentedTable(table) {
+    const undocumented = [...table];
+    const HL = REGISTER_BITS_HL;
+    const BC = pairBits(0);
+    const DE = pairBits(1);
+
+    // DSUB: HL = HL - BC, all flags affected
+    undocumented[0x08] = decodeEntry('DSUB', 1, cpu => {
+        const hl = cpu.getPair(REG_H);
+        const bc = cpu.getPair(REG_B);
+        const result = hl - bc;
+        const borrow = (hl & 0xFF) < (bc & 0xFF) ? 1 : 0;
+        const auxCarry = ((hl >> 8) & 0x0F) < (((bc >> 8) & 0x0F) + borrow);
+        cpu.updateOverflow(hl >> 8, bc >> 8, result >> 8, true);
+        cpu.setPair(REG_H, result & 0xFFFF);
+        cpu.updateFlags(cpu.regs[REG_H], result < 0, auxCarry);
+        cpu.flags.Z = (result & 0xFFFF) === 0 ? 1 : 0;
+    }, HL | BC, HL);
+
+    // ARHL: arithmetic shift HL right, bit 0 into CY
+    undocumented[0x10] = decodeEntry('ARHL', 1, cpu => {
+        const hl = cpu.getPair(REG_H);
+        cpu.flags.CY = hl & 1;
+        cpu.setPair(REG_H, (hl & 0x8000) | (hl >> 1));
+    }, HL, HL);
+
+    // RDEL: rotate DE left through carry; V is set if the sign changes
+    undocumented[0x18] = decodeEntry('RDEL', 1, cpu => {
+        const de = cpu.getPair(REG_D);
+        const result = (de << 1) | cpu.flags.CY;
+        cpu.flags.CY = (de >> 15) & 1;
+        cpu.flags.V = ((de ^ result) >> 15) & 1;
+        cpu.setPair(REG_D, result & 0xFFFF);
+    }, DE, DE);
+
+    // LDHI d8: DE = HL + d8; LDSI d8: DE = SP + d8
+    undocumented[0x28] = decodeEntry('LDHI', 2,
+        (cpu, data) => cpu.setPair(REG_D, (cpu.getPair(REG_H) + data) & 0xFFFF), HL, DE);
+    undocumented[0x38] = decodeEntry('LDSI', 2,
+        (cpu, data) => cpu.setPair(REG_D, (cpu.SP + data) & 0xFFFF), 0, DE);
+
+    // RSTV: restart at 0040H if V is set
+    const overflow = cpu => !!cpu.flags.V;
+    undocumented[0xCB] = decodeEntry('RSTV', 1, cpu => {
+        if (overflow(cpu)) cpu.call(0x0040);
+    }, 0, 0, overflow);
+
+    // SHLX and LHLX: store or load HL at the address in DE
+    undocumented[0xD9] = decodeEntry('SHLX', 1, cpu => {
+        const addr = cpu.getPair(REG_D);
+        cpu.writeMemory(addr, cpu.regs[REG_L]);
+        cpu.writeMemory((addr + 1) & 0xFFFF, cpu.regs[REG_H]);
+    }, DE | HL);
+    undocumented[0xED] = decodeEntry('LHLX', 1, cpu => {
+        const addr = cpu.getPair(REG_D);
+        cpu.regs[REG_L] = cpu.readMemory(addr);
+        cpu.regs[REG_H] = cpu.readMemory(addr + 1);
+    }, DE, HL);
+
+    // JNK and JK: jump on the K flag
+    const noK = cpu => !cpu.flags.K;
+    const k = cpu => !!cpu.flags.K;
+    undocumented[0xDD] = decodeEntry('JNK', 3, (cpu, addr) => {
+        if (noK(cpu)) cpu.PC = addr;
+    }, 0, 0, noK);
+    undocumented[0xFD] = decodeEntry('JK', 3, (cpu, addr) => {
+        if (k(cpu)) cpu.PC = addr;
+    }, 0, 0, k);
+
+    for (const opcode of Object.keys(UNDOCUMENTED_T_STATES)) {
+        undocumented[opcode].tStates = UNDOCUMENTED_T_STATES[opcode];
+    }
+    return undocumented;
+}
+
+// Entries for the documented instruction set, and with undocumented mode on
+const DECODE_TABLE = buildDecodeTable();
+const UNDOCUMENTED_DECODE_TABLE = buildUndocumentedTable(DECODE_TABLE);
+
+// Export for Node (see cli.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        REGISTER_CODES, REG_B, REG_C, REG_D, REG_E, REG_H, REG_L, REG_M, REG_A,
+        PAIR_NAMES, CONDITION_CODES, SZP_FLAGS, formatInstruction, DECODE_TABLE, UNDOCUMENTED_DECODE_TABLE
+    };
+}
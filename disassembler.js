@@ -0,0 +1,134 @@
+// 8085 Disassembler
+
+// Instructions whose 16-bit operand is an address that may have a label
+const ADDRESS_OPERANDS = ['LXI', 'LDA', 'STA', 'LHLD', 'SHLD',
+    'JMP', 'JC', 'JNC', 'JZ', 'JNZ', 'JP', 'JM', 'JPE', 'JPO',
+    'CALL', 'CC', 'CNC', 'CZ', 'CNZ', 'CP', 'CM', 'CPE', 'CPO', 'JNK', 'JK'];
+
+class Disassembler {
+    constructor() {
+        // Opcode byte -> { key, size }, built by inverting OPCODE_TABLE.
+        // Opcodes with no entry are undefined and decode as data.
+        this.opcodes = this.buildOpcodeTable(OPCODE_TABLE);
+        this.undocumentedOpcodes = this.buildOpcodeTable(UNDOCUMENTED_OPCODES);
+
+        // Decode the undocumented opcodes instead of showing them as data
+        this.undocumented = false;
+
+        // Address -> label name
+        this.symbols = new Map();
+    }
+
+    // Invert a mnemonic -> hex opcode table
+    buildOpcodeTable(table) {
+        const opcodes = new Array(256).fill(null);
+        for (const [key, hex] of Object.entries(table)) {
+            let size = 1;
+            if (IMMEDIATE_8BIT.includes(key)) {
+                size = 2;
+            } else if (IMMEDIATE_16BIT.includes(key)) {
+                size = 3;
+            }
+            opcodes[parseInt(hex, 16)] = { key, size };
+        }
+        return opcodes;
+    }
+
+    // Use a symbol table (name -> address), such as assembler.labels
+    setSymbols(labels = {}) {
+        this.symbols = new Map();
+        for (const [name, address] of Object.entries(labels)) {
+            // Keep the first name given to an address
+            if (!this.symbols.has(address)) {
+                this.symbols.set(address, name);
+            }
+        }
+    }
+
+    formatHex8(value) {
+        return value.toString(16).toUpperCase().padStart(2, '0') + 'H';
+    }
+
+    formatHex16(value) {
+        return value.toString(16).toUpperCase().padStart(4, '0') + 'H';
+    }
+
+    // Decode the instruction at address. Returns
+    // { address, bytes, mnemonic, operands, text, label, isData }
+    decode(memory, address) {
+        const opcode = memory[address & 0xFFFF];
+        const entry = this.opcodes[opcode] || (this.undocumented ? this.undocumentedOpcodes[opcode] : null);
+        const label = this.symbols.get(address) || null;
+
+        if (!entry) {
+            return {
+                address: address,
+                bytes: [opcode],
+                mnemonic: 'DB',
+                operands: [this.formatHex8(opcode)],
+                text: `DB ${this.formatHex8(opcode)}`,
+                label: label,
+                isData: true
+            };
+        }
+
+        const bytes = [];
+        for (let n = 0; n < entry.size; n++) {
+            bytes.push(memory[(address + n) & 0xFFFF]);
+        }
+
+        const [mnemonic, registers] = entry.key.split(' ');
+        const operands = registers ? [registers] : [];
+
+        if (entry.size === 2) {
+            operands.push(this.formatHex8(bytes[1]));
+        } else if (entry.size === 3) {
+            const value = bytes[1] | (bytes[2] << 8);
+            const symbol = ADDRESS_OPERANDS.includes(mnemonic) ? this.symbols.get(value) : undefined;
+            operands.push(symbol || this.formatHex16(value));
+        }
+
+        return {
+            address: address,
+            bytes: bytes,
+            mnemonic: mnemonic,
+            operands: operands,
+            text: operands.length ? `${mnemonic} ${operands.join(', ')}` : mnemonic,
+            label: label,
+            isData: false
+        };
+    }
+
+    // Decode every instruction that starts between start and end (inclusive)
+    disassemble(memory, start, end) {
+        const lines = [];
+        let address = start;
+        while (address <= end) {
+            const line = this.decode(memory, address);
+            lines.push(line);
+            address += line.bytes.length;
+        }
+        return lines;
+    }
+
+    // Format decoded lines as text: address, bytes, label and instruction
+    format(lines) {
+        const labelWidth = Math.max(0, ...lines.map(line => line.label ? line.label.length + 1 : 0));
+        return lines.map(line => {
+            const addr = line.address.toString(16).toUpperCase().padStart(4, '0');
+            const bytes = line.bytes.map(b => b.toString(16).toUpperCase().padStart(2, '0')).join(' ');
+            const label = (line.label ? `${line.label}:` : '').padEnd(labelWidth);
+            return `${addr}  ${bytes.padEnd(10)}${labelWidth ? label + '  ' : ''}${line.text}`;
+        }).join('\n');
+    }
+}
+
+// Create global disassembler instance
+const disassembler = new Disassembler();
+
+// Export for Node (see cli.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ADDRESS_OPERANDS, Disassembler, disassembler
+    };
+}
@@ -252,7 +252,19 @@ const INSTRUCTIONS = [
     { mnemonic: "DI", opcode: "F3", bytes: 1, category: "control", description: "Disable interrupts" },
     { mnemonic: "EI", opcode: "FB", bytes: 1, category: "control", description: "Enable interrupts" },
     { mnemonic: "RIM", opcode: "20", bytes: 1, category: "control", description: "Read interrupt mask" },
-    { mnemonic: "SIM", opcode: "30", bytes: 1, category: "control", description: "Set interrupt mask" }
+    { mnemonic: "SIM", opcode: "30", bytes: 1, category: "control", description: "Set interrupt mask" },
+
+    // Undocumented Instructions (only when undocumented opcodes are enabled)
+    { mnemonic: "DSUB", opcode: "08", bytes: 1, category: "undocumented", description: "Subtract BC from HL" },
+    { mnemonic: "ARHL", opcode: "10", bytes: 1, category: "undocumented", description: "Arithmetic shift HL right" },
+    { mnemonic: "RDEL", opcode: "18", bytes: 1, category: "undocumented", description: "Rotate DE left through carry" },
+    { mnemonic: "LDHI d8", opcode: "28", bytes: 2, category: "undocumented", description: "Load DE with HL plus immediate" },
+    { mnemonic: "LDSI d8", opcode: "38", bytes: 2, category: "undocumented", description: "Load DE with SP plus immediate" },
+    { mnemonic: "RSTV", opcode: "CB", bytes: 1, category: "undocumented", description: "Restart at 0040H if overflow" },
+    { mnemonic: "SHLX", opcode: "D9", bytes: 1, category: "undocumented", description: "Store HL indirect to DE" },
+    { mnemonic: "JNK addr", opcode: "DD", bytes: 3, category: "undocumented", description: "Jump if K flag not set" },
+    { mnemonic: "LHLX", opcode: "ED", bytes: 1, category: "undocumented", description: "Load HL indirect from DE" },
+    { mnemonic: "JK addr", opcode: "FD", bytes: 3, category: "undocumented", description: "Jump if K flag set" }
 ];
 
 // Opcode lookup table for assembler
@@ -349,15 +361,59 @@ const OPCODE_TABLE = {
     "RIM": "20", "SIM": "30"
 };
 
+// Undocumented opcodes, accepted only when undocumented mode is on
+const UNDOCUMENTED_OPCODES = {
+    "DSUB": "08", "ARHL": "10", "RDEL": "18", "LDHI": "28", "LDSI": "38",
+    "RSTV": "CB", "SHLX": "D9", "JNK": "DD", "LHLX": "ED", "JK": "FD"
+};
+
 // Instructions that take 8-bit immediate data
 const IMMEDIATE_8BIT = ["MVI A", "MVI B", "MVI C", "MVI D", "MVI E", "MVI H", "MVI L", "MVI M",
-    "ADI", "ACI", "SUI", "SBI", "ANI", "ORI", "XRI", "CPI", "IN", "OUT"];
+    "ADI", "ACI", "SUI", "SBI", "ANI", "ORI", "XRI", "CPI", "IN", "OUT",
+    "LDHI", "LDSI"];
 
 // Instructions that take 16-bit address/data
 const IMMEDIATE_16BIT = ["LXI B", "LXI D", "LXI H", "LXI SP",
     "LDA", "STA", "LHLD", "SHLD",
     "JMP", "JC", "JNC", "JZ", "JNZ", "JP", "JM", "JPE", "JPO",
-    "CALL", "CC", "CNC", "CZ", "CNZ", "CP", "CM", "CPE", "CPO"];
+    "CALL", "CC", "CNC", "CZ", "CNZ", "CP", "CM", "CPE", "CPO",
+    "JNK", "JK"];
 
+// T-states per opcode. Conditional jumps, calls and returns list
+// [not taken, taken]. Undefined opcodes execute as a 4 T-state NOP
+// unless undocumented mode is on (see UNDOCUMENTED_T_STATES).
+const T_STATES = [
+    /* 0X */ 4, 10, 7, 6, 4, 4, 7, 4, 4, 10, 7, 6, 4, 4, 7, 4,
+    /* 1X */ 4, 10, 7, 6, 4, 4, 7, 4, 4, 10, 7, 6, 4, 4, 7, 4,
+    /* 2X */ 4, 10, 16, 6, 4, 4, 7, 4, 4, 10, 16, 6, 4, 4, 7, 4,
+    /* 3X */ 4, 10, 13, 6, 10, 10, 10, 4, 4, 10, 13, 6, 4, 4, 7, 4,
+    /* 4X */ 4, 4, 4, 4, 4, 4, 7, 4, 4, 4, 4, 4, 4, 4, 7, 4,
+    /* 5X */ 4, 4, 4, 4, 4, 4, 7, 4, 4, 4, 4, 4, 4, 4, 7, 4,
+    /* 6X */ 4, 4, 4, 4, 4, 4, 7, 4, 4, 4, 4, 4, 4, 4, 7, 4,
+    /* 7X */ 7, 7, 7, 7, 7, 7, 5, 7, 4, 4, 4, 4, 4, 4, 7, 4,
+    /* 8X */ 4, 4, 4, 4, 4, 4, 7, 4, 4, 4, 4, 4, 4, 4, 7, 4,
+    /* 9X */ 4, 4, 4, 4, 4, 4, 7, 4, 4, 4, 4, 4, 4, 4, 7, 4,
+    /* AX */ 4, 4, 4, 4, 4, 4, 7, 4, 4, 4, 4, 4, 4, 4, 7, 4,
+    /* BX */ 4, 4, 4, 4, 4, 4, 7, 4, 4, 4, 4, 4, 4, 4, 7, 4,
+    /* CX */ [6, 12], 10, [7, 10], 10, [9, 18], 12, 7, 12, [6, 12], 10, [7, 10], 4, [9, 18], 18, 7, 12,
+    /* DX */ [6, 12], 10, [7, 10], 10, [9, 18], 12, 7, 12, [6, 12], 4, [7, 10], 10, [9, 18], 4, 7, 12,
+    /* EX */ [6, 12], 10, [7, 10], 16, [9, 18], 12, 7, 12, [6, 12], 6, [7, 10], 4, [9, 18], 4, 7, 12,
+    /* FX */ [6, 12], 10, [7, 10], 4, [9, 18], 12, 7, 12, [6, 12], 6, [7, 10], 4, [9, 18], 4, 7, 12
+];
+
+// T-states for the undocumented opcodes
+const UNDOCUMENTED_T_STATES = {
+    0x08: 10, 0x10: 7, 0x18: 10, 0x28: 10, 0x38: 10,
+    0xCB: [6, 12], 0xD9: 10, 0xDD: [7, 10], 0xED: 10, 0xFD: [7, 10]
+};
 
+// T-states to acknowledge TRAP, RST 5.5/6.5/7.5 or an INTR restart
+const INTERRUPT_T_STATES = 12;
 
+// Export for Node (see cli.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        INSTRUCTIONS, OPCODE_TABLE, UNDOCUMENTED_OPCODES, IMMEDIATE_8BIT, IMMEDIATE_16BIT,
+        T_STATES, UNDOCUMENTED_T_STATES, INTERRUPT_T_STATES
+    };
+}
@@ -0,0 +1,165 @@
+// Intel HEX file format
+
+// Record types
+const HEX_DATA = 0x00;
+const HEX_EOF = 0x01;
+const HEX_EXTENDED_SEGMENT = 0x02;
+const HEX_START_SEGMENT = 0x03;
+const HEX_EXTENDED_LINEAR = 0x04;
+const HEX_START_LINEAR = 0x05;
+
+class IntelHex {
+    constructor() {
+        this.recordSize = 16;
+    }
+
+    // Two's complement of the sum of all record bytes
+    checksum(bytes) {
+        const sum = bytes.reduce((total, byte) => total + byte, 0);
+        return (-sum) & 0xFF;
+    }
+
+    // Build one ":LLAAAATT<data>CC" record line
+    formatRecord(type, address, data = []) {
+        const bytes = [data.length, (address >> 8) & 0xFF, address & 0xFF, type, ...data];
+        bytes.push(this.checksum(bytes));
+        return ':' + bytes.map(b => b.toString(16).toUpperCase().padStart(2, '0')).join('');
+    }
+
+    // Encode {address, byte} items as Intel HEX text. Contiguous bytes are
+    // packed into data records; the start address goes in the EOF record.
+    encode(data, startAddress = 0x0000) {
+        // Later writes to the same address win, as they would in memory
+        const image = new Map();
+        for (const item of data) {
+            image.set(item.address & 0xFFFF, item.byte & 0xFF);
+        }
+        const addresses = [...image.keys()].sort((a, b) => a - b);
+
+        const lines = [];
+        let i = 0;
+        while (i < addresses.length) {
+            const recordAddress = addresses[i];
+            const bytes = [];
+            while (i < addresses.length &&
+                   addresses[i] === recordAddress + bytes.length &&
+                   bytes.length < this.recordSize) {
+                bytes.push(image.get(addresses[i]));
+                i++;
+            }
+            lines.push(this.formatRecord(HEX_DATA, recordAddress, bytes));
+        }
+
+        lines.push(this.formatRecord(HEX_EOF, startAddress & 0xFFFF));
+        return lines.join('\n') + '\n';
+    }
+
+    // Decode Intel HEX text into {data: [{address, byte}], startAddress}.
+    // startAddress is null when the file doesn't give one. Throws an Error
+    // naming the line for malformed records or bad checksums.
+    decode(text) {
+        const data = [];
+        let startAddress = null;
+        let endSeen = false;
+        const lines = text.split(/\r?\n/);
+
+        for (let i = 0; i < lines.length && !endSeen; i++) {
+            const line = lines[i].trim();
+            const lineNum = i + 1;
+            if (!line) continue;
+
+            if (line[0] !== ':') {
+                throw new Error(`Line ${lineNum}: record must start with ':'`);
+            }
+            const digits = line.slice(1);
+            if (!/^[0-9A-Fa-f]*$/.test(digits) || digits.length % 2 !== 0) {
+                throw new Error(`Line ${lineNum}: invalid hex digits`);
+            }
+            if (digits.length < 10) {
+                throw new Error(`Line ${lineNum}: record is too short`);
+            }
+
+            const bytes = [];
+            for (let j = 0; j < digits.length; j += 2) {
+                bytes.push(parseInt(digits.substr(j, 2), 16));
+            }
+
+            const length = bytes[0];
+            if (bytes.length !== length + 5) {
+                throw new Error(`Line ${lineNum}: byte count ${length} does not match record length ${bytes.length - 5}`);
+            }
+            const expected = this.checksum(bytes.slice(0, -1));
+            if (expected !== bytes[bytes.length - 1]) {
+                const found = bytes[bytes.length - 1].toString(16).toUpperCase().padStart(2, '0');
+                throw new Error(`Line ${lineNum}: checksum is ${found}H, expected ${expected.toString(16).toUpperCase().padStart(2, '0')}H`);
+            }
+
+            const address = (bytes[1] << 8) | bytes[2];
+            const type = bytes[3];
+            const payload = bytes.slice(4, -1);
+
+            switch (type) {
+                case HEX_DATA:
+                    if (address + payload.length > 0x10000) {
+                        throw new Error(`Line ${lineNum}: data runs past FFFFH`);
+                    }
+                    payload.forEach((byte, n) => data.push({ address: address + n, byte: byte }));
+                    break;
+
+                case HEX_EOF:
+                    // The 8-bit format keeps the start address in the EOF record
+                    if (address !== 0 && startAddress === null) {
+                        startAddress = address;
+                    }
+                    endSeen = true;
+                    break;
+
+                case HEX_EXTENDED_SEGMENT:
+                case HEX_EXTENDED_LINEAR:
+                    // Only an upper address of zero fits in 64 KB
+                    if (payload.length !== 2) {
+                        throw new Error(`Line ${lineNum}: extended address record needs 2 data bytes`);
+                    }
+                    if (payload[0] !== 0 || payload[1] !== 0) {
+                        throw new Error(`Line ${lineNum}: extended address is outside the 64 KB address space`);
+                    }
+                    break;
+
+                case HEX_START_SEGMENT:
+                case HEX_START_LINEAR: {
+                    if (payload.length !== 4) {
+                        throw new Error(`Line ${lineNum}: start address record needs 4 data bytes`);
+                    }
+                    const value = type === HEX_START_SEGMENT
+                        ? (((payload[0] << 8) | payload[1]) << 4) + ((payload[2] << 8) | payload[3])
+                        : ((payload[0] << 24) | (payload[1] << 16) | (payload[2] << 8) | payload[3]) >>> 0;
+                    if (value > 0xFFFF) {
+                        throw new Error(`Line ${lineNum}: start address is outside the 64 KB address space`);
+                    }
+                    startAddress = value;
+                    break;
+                }
+
+                default:
+                    throw new Error(`Line ${lineNum}: unknown record type ${type.toString(16).toUpperCase().padStart(2, '0')}H`);
+            }
+        }
+
+        if (!endSeen) {
+            throw new Error('Missing end-of-file record (:00000001FF)');
+        }
+
+        return { data, startAddress };
+    }
+}
+
+// Create global Intel HEX instance
+const intelHex = new IntelHex();
+
+// Export for Node (see cli.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        HEX_DATA, HEX_EOF, HEX_EXTENDED_SEGMENT, HEX_START_SEGMENT, HEX_EXTENDED_LINEAR,
+        HEX_START_LINEAR, IntelHex, intelHex
+    };
+}
@@ -0,0 +1,203 @@
+// Memory map: which addresses are RAM, ROM or not connected
+
+const MEMORY_RAM = 0;
+const MEMORY_ROM = 1;
+const MEMORY_UNMAPPED = 2;
+
+const MEMORY_TYPE_NAMES = ['ram', 'rom', 'unmapped'];
+
+// What a write to ROM does: 'ignore' drops it, 'log' also records a
+// warning, 'error' stops execution with a fault
+const ROM_WRITE_POLICIES = ['ignore', 'log', 'error'];
+
+// What an access to an unmapped address does: 'float' reads FFH and drops
+// writes (open bus), 'log' also records a warning, 'error' faults
+const UNMAPPED_MEMORY_POLICIES = ['float', 'log', 'error'];
+
+// Layouts of common boards. Addresses not covered by a region take the
+// preset's fill type.
+const MEMORY_MAP_PRESETS = {
+    flat: {
+        name: 'Flat 64 KB RAM',
+        fill: 'ram',
+        regions: []
+    },
+    sdk85: {
+        name: 'Intel SDK-85',
+        fill: 'unmapped',
+        regions: [
+            { start: 0x0000, end: 0x07FF, type: 'rom', name: 'Monitor ROM (8355)' },
+            { start: 0x0800, end: 0x0FFF, type: 'rom', name: 'Expansion ROM (8755)' },
+            { start: 0x2000, end: 0x20FF, type: 'ram', name: 'RAM (8155)' },
+            { start: 0x2800, end: 0x28FF, type: 'ram', name: 'Expansion RAM (8155)' }
+        ]
+    },
+    trainer: {
+        name: 'Trainer kit (8 KB monitor)',
+        fill: 'ram',
+        regions: [
+            { start: 0x0000, end: 0x1FFF, type: 'rom', name: 'Monitor EPROM' },
+            { start: 0x2000, end: 0xFFFF, type: 'ram', name: 'User RAM' }
+        ]
+    }
+};
+
+class MemoryMap {
+    constructor() {
+        // Type of every address, rebuilt whenever the map changes
+        this.types = new Uint8Array(65536);
+
+        this.fill = 'ram';
+        this.regions = [];
+        this.preset = 'flat';
+
+        // Ranges made read-only on top of the map, e.g. the loaded program
+        this.protectedRanges = [];
+
+        this.romWritePolicy = 'log';
+        this.unmappedPolicy = 'float';
+    }
+
+    // Use one of MEMORY_MAP_PRESETS
+    loadPreset(name) {
+        const preset = MEMORY_MAP_PRESETS[name];
+        if (!preset) {
+            throw new Error(`Unknown memory map preset: ${name}`);
+        }
+        this.setRegions(preset.regions, preset.fill);
+        this.preset = name;
+    }
+
+    // Replace the map with {start, end, type, name} regions. Later regions
+    // win where they overlap; addresses not covered take the fill type.
+    setRegions(regions, fill = 'ram') {
+        if (!MEMORY_TYPE_NAMES.includes(fill)) {
+            throw new Error(`Unknown memory type: ${fill}`);
+        }
+        regions.forEach(region => this.checkRegion(region));
+        this.fill = fill;
+        this.regions = regions.map(region => ({ ...region }));
+        this.preset = null;
+        this.build();
+    }
+
+    // Add one region on top of the current map
+    addRegion(region) {
+        this.checkRegion(region);
+        this.regions.push({ ...region });
+        this.preset = null;
+        this.build();
+    }
+
+    removeRegion(index) {
+        this.regions.splice(index, 1);
+        this.preset = null;
+        this.build();
+    }
+
+    checkRegion(region) {
+        if (!MEMORY_TYPE_NAMES.includes(region.type)) {
+            throw new Error(`Unknown memory type: ${region.type}`);
+        }
+        if (!(region.start >= 0 && region.end <= 0xFFFF && region.start <= region.end)) {
+            throw new Error('Region must lie within 0000H-FFFFH with start <= end');
+        }
+    }
+
+    // Write-protect {start, end} ranges of RAM, replacing earlier ones
+    protect(ranges) {
+        this.protectedRanges = ranges.map(range => ({ start: range.start, end: range.end }));
+        this.build();
+    }
+
+    build() {
+        this.types.fill(MEMORY_TYPE_NAMES.indexOf(this.fill));
+        for (const region of this.regions) {
+            this.types.fill(MEMORY_TYPE_NAMES.indexOf(region.type), region.start, region.end + 1);
+        }
+        for (const range of this.protectedRanges) {
+            for (let address = range.start; address <= range.end; address++) {
+                if (this.types[address] === MEMORY_RAM) {
+                    this.types[address] = MEMORY_ROM;
+                }
+            }
+        }
+    }
+
+    setRomWritePolicy(policy) {
+        if (!ROM_WRITE_POLICIES.includes(policy)) {
+            throw new Error(`Unknown ROM write policy: ${policy}`);
+        }
+        this.romWritePolicy = policy;
+    }
+
+    setUnmappedPolicy(policy) {
+        if (!UNMAPPED_MEMORY_POLICIES.includes(policy)) {
+            throw new Error(`Unknown unmapped memory policy: ${policy}`);
+        }
+        this.unmappedPolicy = policy;
+    }
+
+    // The map's settings as plain data; restore() rebuilds the map from them
+    snapshot() {
+        return {
+            fill: this.fill,
+            regions: this.regions.map(region => ({ ...region })),
+            preset: this.preset,
+            protectedRanges: this.protectedRanges.map(range => ({ ...range })),
+            romWritePolicy: this.romWritePolicy,
+            unmappedPolicy: this.unmappedPolicy
+        };
+    }
+
+    restore(snapshot) {
+        this.fill = snapshot.fill;
+        this.regions = snapshot.regions.map(region => ({ ...region }));
+        this.preset = snapshot.preset;
+        this.protectedRanges = snapshot.protectedRanges.map(range => ({ ...range }));
+        this.romWritePolicy = snapshot.romWritePolicy;
+        this.unmappedPolicy = snapshot.unmappedPolicy;
+        this.build();
+    }
+
+    // 'ram', 'rom' or 'unmapped'
+    typeAt(address) {
+        return MEMORY_TYPE_NAMES[this.types[address & 0xFFFF]];
+    }
+
+    // The whole map as contiguous {start, end, type} runs, for display
+    describe() {
+        const runs = [];
+        let start = 0;
+        for (let address = 1; address <= 0x10000; address++) {
+            if (address === 0x10000 || this.types[address] !== this.types[start]) {
+                runs.push({ start: start, end: address - 1, type: MEMORY_TYPE_NAMES[this.types[start]] });
+                start = address;
+            }
+        }
+        return runs;
+    }
+
+    // Contiguous {start, end} ranges covered by machine code items
+    rangesOf(machineCode) {
+        const addresses = [...new Set(machineCode.map(item => item.address))].sort((a, b) => a - b);
+        const ranges = [];
+        for (const address of addresses) {
+            const last = ranges[ranges.length - 1];
+            if (last && address === last.end + 1) {
+                last.end = address;
+            } else {
+                ranges.push({ start: address, end: address });
+            }
+        }
+        return ranges;
+    }
+}
+
+// Export for Node (see cli.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        MEMORY_RAM, MEMORY_ROM, MEMORY_UNMAPPED, MEMORY_TYPE_NAMES, ROM_WRITE_POLICIES,
+        UNMAPPED_MEMORY_POLICIES, MEMORY_MAP_PRESETS, MemoryMap
+    };
+}
@@ -1,14 +1,186 @@
 // 8085 Simulator/Emulator
+
+// What IN/OUT do when no device is attached to the port
+const UNMAPPED_PORT_POLICIES = ['float', 'log', 'error'];
+
+// Interrupt lines in priority order with their restart addresses.
+// INTR has no fixed vector - the device supplies an RST opcode.
+const INTERRUPT_VECTORS = {
+    'TRAP': 0x0024,
+    'RST7.5': 0x003C,
+    'RST6.5': 0x0034,
+    'RST5.5': 0x002C,
+    'INTR': null
+};
+
+// What leaving the stack region does: 'off' ignores it, 'log' records a
+// warning, 'error' stops execution with a fault
+const STACK_POLICIES = ['off', 'log', 'error'];
+
+// 8-bit registers, each tracked for uninitialized reads
+const REGISTER_NAMES = ['A', 'B', 'C', 'D', 'E', 'H', 'L'];
+
+// Opcodes Step Over treats as subroutine calls: CALL, Ccc and RST n
+const CALL_OPCODES = [0xCD, 0xC4, 0xCC, 0xD4, 0xDC, 0xE4, 0xEC, 0xF4, 0xFC,
+    0xC7, 0xCF, 0xD7, 0xDF, 0xE7, 0xEF, 0xF7, 0xFF];
+
+// Opcodes Step Out treats as returns: RET and Rcc
+const RETURN_OPCODES = [0xC9, 0xC0, 0xC8, 0xD0, 0xD8, 0xE0, 0xE8, 0xF0, 0xF8];
+
+// How runs execute: 'verbose' keeps the undo history, trace and last
+// instructions for every step; 'fast' leaves them out for speed
+const EXECUTION_MODES = ['verbose', 'fast'];
+
+// How runAsync() paces execution: 'fast' runs as many steps as fit in each
+// slice, 'realtime' keeps to clockFrequency, 'animate' runs a set number of
+// instructions per second
+const RUN_SPEEDS = ['fast', 'realtime', 'animate'];
+
+// Longest time runAsync() keeps the page busy before yielding, in ms
+const RUN_SLICE_MS = 16;
+
+// Fixed-size buffer that drops its oldest entry when full, newest last.
+// Holds the Step Back history and the warnings.
+class RingBuffer {
+    constructor(size) {
+        this.setSize(size);
+    }
+
+    // Change how many entries are kept, keeping the most recent ones
+    setSize(size) {
+        if (!Number.isInteger(size) || size < 0) {
+            throw new Error(`Buffer size must be a whole number: ${size}`);
+        }
+        const kept = this.entries && size > 0 ? this.toArray().slice(-size) : [];
+        this.size = size;
+        this.entries = new Array(size);
+        this.start = 0;
+        this.count = 0;
+        kept.forEach(entry => this.push(entry));
+    }
+
+    clear() {
+        this.start = 0;
+        this.count = 0;
+        this.entries.fill(undefined);
+    }
+
+    // Add an entry, overwriting the oldest when full
+    push(entry) {
+        if (this.size === 0) return;
+        if (this.count < this.size) {
+            this.entries[(this.start + this.count) % this.size] = entry;
+            this.count++;
+        } else {
+            this.entries[this.start] = entry;
+            this.start = (this.start + 1) % this.size;
+        }
+    }
+
+    // Remove and return the newest entry, or undefined if there is none
+    pop() {
+        if (this.count === 0) return undefined;
+        this.count--;
+        const index = (this.start + this.count) % this.size;
+        const entry = this.entries[index];
+        this.entries[index] = undefined;
+        return entry;
+    }
+
+    // Entries oldest first
+    toArray() {
+        const entries = [];
+        for (let i = 0; i < this.count; i++) {
+            entries.push(this.entries[(this.start + i) % this.size]);
+        }
+        return entries;
+    }
+
+    restore(entries) {
+        this.clear();
+        entries.forEach(entry => this.push(entry));
+    }
+}
+
 class Simulator {
     constructor() {
+        // I/O port bus - devices stay attached across resets
+        this.portHandlers = new Map();
+        this.unmappedPortPolicy = 'float';
+
+        // Clock used to convert T-states into real time (Hz)
+        this.clockFrequency = 3000000;
+
+        // Execute the undocumented 8085 opcodes instead of treating them as unknown
+        this.undocumented = false;
+
+        // Number of steps kept for Step Back
+        this.historyLimit = 10000;
+
+        // Number of warnings kept; older ones are dropped
+        this.warningLimit = 100;
+
+        // ROM, RAM and unmapped address ranges
+        this.memoryMap = new MemoryMap();
+
+        // Stack checking. The stack runs from bounds.top (SP when empty)
+        // down to bounds.low: FF00H-FFFEH by default. With stackFollowsSP,
+        // LXI SP and SPHL move the region to the new SP, keeping its size.
+        this.stackPolicy = 'log';
+        this.stackBounds = { low: 0xFF00, top: 0xFFFF };
+        this.stackFollowsSP = true;
+        this.programSegments = []; // {start, end} ranges the stack must not reach
+
+        // Warn when an instruction reads a register or memory byte that
+        // nothing has written since reset
+        this.checkUninitialized = true;
+
+        // Fill memory and registers with random values on reset, as real
+        // RAM powers up, instead of zeros
+        this.randomPowerOn = false;
+
+        // Per-step records of what each instruction changed
+        this.trace = new TraceBuffer();
+
+        // Breakpoints and watchpoints survive reset and reassembly
+        this.breakpoints = new BreakpointManager();
+        this.watchpoints = new WatchpointManager();
+
+        // See EXECUTION_MODES. Single steps are always verbose.
+        this.mode = 'verbose';
+
+        // 8-bit registers indexed by register code (see REGISTER_CODES),
+        // also reachable by name through this.registers
+        this.regs = new Uint8Array(8);
+        this.registers = this.createRegisterView();
+
+        // What the last executeInstruction() ran, reused from step to step
+        this.executed = {
+            address: 0,      // PC the step started at
+            spBefore: 0,     // SP before the step
+            opcode: null,    // null for an interrupt acknowledge
+            entry: null,     // Decode table entry
+            operand: 0,      // 8- or 16-bit operand, if the instruction has one
+            interrupt: null, // "line -> vector" for an interrupt acknowledge
+            tStates: 0,
+            halted: false,
+            fault: null,
+            watchHits: null
+        };
+
         this.reset();
     }
 
     reset() {
-        // Registers (8-bit)
-        this.registers = {
-            A: 0, B: 0, C: 0, D: 0, E: 0, H: 0, L: 0
-        };
+        // Registers (8-bit), with a bit per register code set once written
+        if (this.randomPowerOn) {
+            for (let i = 0; i < this.regs.length; i++) {
+                this.regs[i] = Math.floor(Math.random() * 256);
+            }
+        } else {
+            this.regs.fill(0);
+        }
+        this.initializedRegisters = 0;
 
         // Special registers (16-bit)
         this.SP = 0xFFFF; // Stack Pointer
@@ -20,37 +192,167 @@ class Simulator {
             Z: 0,  // Zero flag
             AC: 0, // Auxiliary Carry flag
             P: 0,  // Parity flag
-            CY: 0  // Carry flag
+            CY: 0, // Carry flag
+            V: 0,  // Overflow flag (undocumented)
+            K: 0   // X5/K flag (undocumented)
         };
 
-        // Memory (64KB)
+        // Memory (64KB), with a shadow map of the bytes written since reset
         this.memory = new Uint8Array(65536);
+        this.initialized = new Uint8Array(65536);
+        this.inUninitializedCode = false;
+        if (this.randomPowerOn) {
+            for (let i = 0; i < this.memory.length; i++) {
+                this.memory[i] = Math.floor(Math.random() * 256);
+            }
+        }
 
         // Execution state
+        this.cycles = 0; // T-states executed since reset
         this.halted = false;
         this.running = false;
-        this.executionLog = [];
-        this.breakpoints = new Set();
+        this.activeRun = null; // Token of the runAsync() run in progress
+        this.trace.clear();
+        this.stepCount = 0; // Steps since reset, numbering trace records
+        this.fetchedBytes = null; // Opcode and operand bytes of the current step, if kept
+        this.stopReason = null; // Why the last run() returned
+        this.breakpoints.resetHits();
+        this.watchpoints.resetHits();
+
+        // Undo journal: one record per step with the CPU state before it,
+        // the old value of every byte it wrote and the addresses its reads
+        // marked as initialized
+        if (this.history) {
+            this.history.clear();
+        } else {
+            this.history = new RingBuffer(this.historyLimit);
+        }
+        this.journal = null;
+
+        // Interrupt system (RESET clears IE and sets all three masks)
+        this.interrupts = {
+            enabled: 0,
+            masks: { 'RST7.5': 1, 'RST6.5': 1, 'RST5.5': 1 },
+            pending: { 'TRAP': 0, 'RST7.5': 0, 'RST6.5': 0, 'RST5.5': 0, 'INTR': 0 },
+            intrVector: 0xFF,
+            enabledBeforeTrap: null
+        };
+        this.eiDelay = false;
+
+        // Serial I/O lines read by RIM and written by SIM
+        this.serial = { SID: 0, SOD: 0 };
+
+        // Diagnostics
+        this.instructionAddress = this.PC;
+        this.warnings = new RingBuffer(this.warningLimit);
+        this.warningTotal = 0; // Warnings raised since reset, kept or not
+        this.callStack = []; // Active CALL/RST/interrupt frames, innermost last
+        this.stack = { ...this.stackBounds }; // Current stack region
+        this.fault = null;
+    }
+
+    // The registers by name. Writing one marks it initialized; reads of
+    // uninitialized registers are checked per instruction from the decode
+    // table instead (see executeInstruction()).
+    createRegisterView() {
+        const registers = {};
+        for (const name of REGISTER_NAMES) {
+            const code = REGISTER_CODES.indexOf(name);
+            Object.defineProperty(registers, name, {
+                enumerable: true,
+                get: () => this.regs[code],
+                set: (value) => {
+                    this.regs[code] = value;
+                    this.initializedRegisters |= 1 << code;
+                }
+            });
+        }
+        return registers;
+    }
+
+    uninitializedRead(what) {
+        if (this.checkUninitialized) {
+            this.warn(`Read of uninitialized ${what}`, 'uninitialized');
+        }
+    }
+
+    // Report the registers in mask (bits by register code) as read before
+    // being written, once each
+    uninitializedRegisters(mask) {
+        for (let code = 0; code < 8; code++) {
+            if (mask & (1 << code)) {
+                this.uninitializedRead(`register ${REGISTER_CODES[code]}`);
+            }
+        }
+        this.initializedRegisters |= mask;
     }
 
-    // Load machine code into memory
-    loadProgram(machineCode, startAddress = 0x0000) {
+    // Load machine code into memory. reserved lists further {start, end}
+    // ranges, such as DS areas, that the stack must not grow into.
+    loadProgram(machineCode, startAddress = 0x0000, reserved = []) {
         for (const item of machineCode) {
             this.memory[item.address] = item.byte;
+            this.initialized[item.address] = 1;
         }
         this.PC = startAddress;
+        this.programSegments = [...this.memoryMap.rangesOf(machineCode), ...reserved];
     }
 
     // Get memory value at HL address (M register)
     getM() {
-        const addr = (this.registers.H << 8) | this.registers.L;
-        return this.memory[addr];
+        return this.readMemory(this.getPair(REG_H));
     }
 
     // Set memory value at HL address (M register)
     setM(value) {
-        const addr = (this.registers.H << 8) | this.registers.L;
-        this.memory[addr] = value & 0xFF;
+        this.writeMemory(this.getPair(REG_H), value);
+    }
+
+    // Read a data byte during execution, reporting it to the watchpoints.
+    // Unmapped addresses read FFH.
+    readMemory(address) {
+        address &= 0xFFFF;
+        if (this.memoryMap.types[address] === MEMORY_UNMAPPED) {
+            this.unmappedMemoryAccess('read from', address);
+            return 0xFF;
+        }
+        const value = this.memory[address];
+        if (!this.initialized[address]) {
+            this.uninitializedRead(`memory at ${this.formatHex16(address)}`);
+            this.initialized[address] = 1; // Report once
+            if (this.journal) {
+                this.journal.marks.push(address);
+            }
+        }
+        this.watchpoints.check('read', address, value, value, this.instructionAddress);
+        return value;
+    }
+
+    // Write a byte during execution, journaling the old value so the
+    // step can be undone. Writes to ROM and unmapped addresses are dropped.
+    writeMemory(address, value) {
+        address &= 0xFFFF;
+        const type = this.memoryMap.types[address];
+        if (type === MEMORY_ROM) {
+            const message = `Write of ${this.formatHex8(value & 0xFF)} to ROM at ${this.formatHex16(address)}`;
+            if (this.memoryMap.romWritePolicy === 'error') {
+                this.raiseFault(message);
+            } else if (this.memoryMap.romWritePolicy === 'log') {
+                this.warn(message, 'memory');
+            }
+            return;
+        }
+        if (type === MEMORY_UNMAPPED) {
+            this.unmappedMemoryAccess('write to', address);
+            return;
+        }
+        const oldValue = this.memory[address];
+        if (this.journal) {
+            this.journal.memory.push({ address: address, value: oldValue, initialized: this.initialized[address] });
+        }
+        this.memory[address] = value & 0xFF;
+        this.initialized[address] = 1;
+        this.watchpoints.check('write', address, oldValue, value & 0xFF, this.instructionAddress);
     }
 
     // Get register value by name
@@ -71,11 +373,11 @@ class Simulator {
     // Get register pair value
     getRegPair(pair) {
         switch (pair) {
-            case 'B': return (this.registers.B << 8) | this.registers.C;
-            case 'D': return (this.registers.D << 8) | this.registers.E;
-            case 'H': return (this.registers.H << 8) | this.registers.L;
+            case 'B': return this.getPair(REG_B);
+            case 'D': return this.getPair(REG_D);
+            case 'H': return this.getPair(REG_H);
             case 'SP': return this.SP;
-            case 'PSW': return (this.registers.A << 8) | this.getFlagsAsByte();
+            case 'PSW': return (this.regs[REG_A] << 8) | this.getFlagsAsByte();
             default: return 0;
         }
     }
@@ -85,16 +387,10 @@ class Simulator {
         value = value & 0xFFFF;
         switch (pair) {
             case 'B':
-                this.registers.B = (value >> 8) & 0xFF;
-                this.registers.C = value & 0xFF;
-                break;
             case 'D':
-                this.registers.D = (value >> 8) & 0xFF;
-                this.registers.E = value & 0xFF;
-                break;
             case 'H':
-                this.registers.H = (value >> 8) & 0xFF;
-                this.registers.L = value & 0xFF;
+                this.setPair(REGISTER_CODES.indexOf(pair), value);
+                this.initializedRegisters |= 3 << REGISTER_CODES.indexOf(pair);
                 break;
             case 'SP':
                 this.SP = value;
@@ -106,13 +402,27 @@ class Simulator {
         }
     }
 
+    // Register pair BC, DE or HL by the code of its high register
+    getPair(high) {
+        return (this.regs[high] << 8) | this.regs[high + 1];
+    }
+
+    setPair(high, value) {
+        this.regs[high] = value >> 8;
+        this.regs[high + 1] = value;
+    }
+
     // Get flags as a single byte
     getFlagsAsByte() {
+        // In undocumented mode bit 5 is K and bit 1 is V
+        const hidden = this.undocumented
+            ? (this.flags.K << 5) | (this.flags.V << 1)
+            : (1 << 1); // Bit 1 is always 1
         return (this.flags.S << 7) |
                (this.flags.Z << 6) |
                (this.flags.AC << 4) |
                (this.flags.P << 2) |
-               (1 << 1) | // Bit 1 is always 1
+               hidden |
                this.flags.CY;
     }
 
@@ -123,26 +433,28 @@ class Simulator {
         this.flags.AC = (byte >> 4) & 1;
         this.flags.P = (byte >> 2) & 1;
         this.flags.CY = byte & 1;
+        if (this.undocumented) {
+            this.flags.K = (byte >> 5) & 1;
+            this.flags.V = (byte >> 1) & 1;
+        }
+    }
+
+    // Set the undocumented V (signed overflow) and K flags for an 8-bit add
+    // or subtract of b from a. K is S XOR V, the sign of the true result;
+    // INX and DCX set K on rollover instead.
+    updateOverflow(a, b, result, subtract) {
+        const overflow = subtract ? (a ^ b) & (a ^ result) : ~(a ^ b) & (a ^ result);
+        this.flags.V = (overflow & 0x80) ? 1 : 0;
+        this.flags.K = ((result >> 7) & 1) ^ this.flags.V;
     }
 
     // Update flags based on result
     updateFlags(result, carry = null, auxCarry = null) {
-        result = result & 0xFF;
-        
-        // Sign flag
-        this.flags.S = (result & 0x80) ? 1 : 0;
-        
-        // Zero flag
-        this.flags.Z = (result === 0) ? 1 : 0;
-        
-        // Parity flag (even parity)
-        let bits = 0;
-        let temp = result;
-        while (temp) {
-            bits += temp & 1;
-            temp >>= 1;
-        }
-        this.flags.P = (bits % 2 === 0) ? 1 : 0;
+        // Sign, zero and parity (even) from the lookup table
+        const szp = SZP_FLAGS[result & 0xFF];
+        this.flags.S = szp >> 7;
+        this.flags.Z = (szp >> 6) & 1;
+        this.flags.P = (szp >> 2) & 1;
 
         // Carry flag
         if (carry !== null) {
@@ -155,9 +467,123 @@ class Simulator {
         }
     }
 
-    // Fetch byte at PC and increment PC
+    // A = A + value + carry, for ADD, ADC, ADI and ACI
+    add(value, carry) {
+        const a = this.regs[REG_A];
+        const result = a + value + carry;
+        this.updateOverflow(a, value, result, false);
+        this.regs[REG_A] = result;
+        this.updateFlags(result, result > 0xFF, ((a & 0x0F) + (value & 0x0F) + carry) > 0x0F);
+    }
+
+    // A - value - borrow, for SUB, SBB, SUI and SBI, or CMP and CPI when
+    // the result isn't stored
+    subtract(value, borrow, store) {
+        const a = this.regs[REG_A];
+        const result = a - value - borrow;
+        this.updateOverflow(a, value, result, true);
+        if (store) {
+            this.regs[REG_A] = result;
+        }
+        this.updateFlags(result, result < 0, (a & 0x0F) < ((value & 0x0F) + borrow));
+    }
+
+    and(value) {
+        this.regs[REG_A] &= value;
+        this.updateFlags(this.regs[REG_A], false, true);
+    }
+
+    xor(value) {
+        this.regs[REG_A] ^= value;
+        this.updateFlags(this.regs[REG_A], false, false);
+    }
+
+    or(value) {
+        this.regs[REG_A] |= value;
+        this.updateFlags(this.regs[REG_A], false, false);
+    }
+
+    // INR: value + 1, setting every flag but CY
+    increment(value) {
+        const result = value + 1;
+        this.updateOverflow(value, 1, result, false);
+        this.updateFlags(result, null, ((value & 0x0F) + 1) > 0x0F);
+        return result & 0xFF;
+    }
+
+    // DCR: value - 1, setting every flag but CY
+    decrement(value) {
+        const result = value - 1;
+        this.updateOverflow(value, 1, result, true);
+        this.updateFlags(result, null, (value & 0x0F) < 1);
+        return result & 0xFF;
+    }
+
+    // DAD: HL = HL + value, setting CY only
+    addToHL(value) {
+        const result = this.getPair(REG_H) + value;
+        this.flags.CY = result > 0xFFFF ? 1 : 0;
+        this.setPair(REG_H, result & 0xFFFF);
+    }
+
+    // DAA: correct A to two BCD digits after an addition
+    decimalAdjust() {
+        const a = this.regs[REG_A];
+        let correction = 0;
+        let setCarry = false;
+
+        if ((a & 0x0F) > 9 || this.flags.AC) {
+            correction += 0x06;
+        }
+
+        if ((a >> 4) > 9 || this.flags.CY ||
+            ((a >> 4) >= 9 && (a & 0x0F) > 9)) {
+            correction += 0x60;
+            setCarry = true;
+        }
+
+        const auxCarry = ((a & 0x0F) + (correction & 0x0F)) > 0x0F;
+        this.regs[REG_A] = a + correction;
+        this.updateFlags(this.regs[REG_A], setCarry || this.flags.CY, auxCarry);
+    }
+
+    // Push the return address and jump, for CALL, Ccc and RST
+    call(address) {
+        this.pushStack(this.PC);
+        this.PC = address;
+    }
+
+    // Apply the memory map's policy to an access with nothing at the address
+    unmappedMemoryAccess(access, address) {
+        const message = `Memory ${access} unmapped address ${this.formatHex16(address)}`;
+        if (this.memoryMap.unmappedPolicy === 'error') {
+            this.raiseFault(message);
+        } else if (this.memoryMap.unmappedPolicy === 'log') {
+            this.warn(message, 'memory');
+        }
+    }
+
+    // Fetch byte at PC and increment PC. Instruction fetches are not
+    // watched; from an unmapped address they read FFH (RST 7).
     fetchByte() {
+        if (this.memoryMap.types[this.PC] === MEMORY_UNMAPPED) {
+            this.unmappedMemoryAccess('fetch from', this.PC);
+            this.PC = (this.PC + 1) & 0xFFFF;
+            return 0xFF;
+        }
         const byte = this.memory[this.PC];
+        if (this.fetchedBytes) {
+            this.fetchedBytes.push(byte);
+        }
+        // Report running into unwritten memory once, not for every byte
+        if (!this.initialized[this.PC]) {
+            if (!this.inUninitializedCode && this.checkUninitialized) {
+                this.warn(`Executing uninitialized memory at ${this.formatHex16(this.PC)}`, 'uninitialized');
+            }
+            this.inUninitializedCode = true;
+        } else {
+            this.inUninitializedCode = false;
+        }
         this.PC = (this.PC + 1) & 0xFFFF;
         return byte;
     }
@@ -172,1370 +598,890 @@ class Simulator {
     // Push value onto stack
     pushStack(value) {
         this.SP = (this.SP - 1) & 0xFFFF;
-        this.memory[this.SP] = (value >> 8) & 0xFF;
+        this.writeMemory(this.SP, (value >> 8) & 0xFF);
         this.SP = (this.SP - 1) & 0xFFFF;
-        this.memory[this.SP] = value & 0xFF;
+        this.writeMemory(this.SP, value & 0xFF);
+        if (this.stackPolicy !== 'off') {
+            this.checkPush();
+        }
     }
 
     // Pop value from stack
     popStack() {
-        const low = this.memory[this.SP];
+        if (this.stackPolicy !== 'off') {
+            this.checkPop();
+        }
+        const low = this.readMemory(this.SP);
         this.SP = (this.SP + 1) & 0xFFFF;
-        const high = this.memory[this.SP];
+        const high = this.readMemory(this.SP);
         this.SP = (this.SP + 1) & 0xFFFF;
         return (high << 8) | low;
     }
 
-    // Execute single instruction
-    step() {
-        if (this.halted) {
-            return { halted: true, instruction: 'HLT' };
+    // Choose what leaving the stack region does; see STACK_POLICIES
+    setStackPolicy(policy) {
+        if (!STACK_POLICIES.includes(policy)) {
+            throw new Error(`Unknown stack policy: ${policy}`);
         }
+        this.stackPolicy = policy;
+    }
 
-        const startPC = this.PC;
-        const opcode = this.fetchByte();
-        let instruction = '';
-        let details = '';
-
-        switch (opcode) {
-            // NOP
-            case 0x00:
-                instruction = 'NOP';
-                break;
+    // Set the stack region: top is SP when the stack is empty and low the
+    // lowest address it may use. followSP lets LXI SP and SPHL move it.
+    setStackBounds(low, top, followSP = this.stackFollowsSP) {
+        if (((top - low) & 0xFFFF) === 0 || ((top - low) & 0xFFFF) >= 0x8000) {
+            throw new Error('Stack top must be above its lowest address (at most 32 KB)');
+        }
+        this.stackBounds = { low: low & 0xFFFF, top: top & 0xFFFF };
+        this.stackFollowsSP = followSP;
+        this.stack = { ...this.stackBounds };
+    }
 
-            // LXI B, d16
-            case 0x01:
-                {
-                    const data = this.fetchWord();
-                    this.setRegPair('B', data);
-                    instruction = `LXI B, ${this.formatHex16(data)}`;
-                }
-                break;
+    // Load SP from LXI SP or SPHL, moving the stack region if it follows SP
+    loadStackPointer(value) {
+        this.SP = value & 0xFFFF;
+        if (this.stackFollowsSP) {
+            const size = (this.stackBounds.top - this.stackBounds.low) & 0xFFFF;
+            this.stack = { low: (this.SP - size) & 0xFFFF, top: this.SP };
+        } else if (this.stackPolicy !== 'off' && this.stackDepth() > this.stackSize()) {
+            this.stackError(`SP set to ${this.formatHex16(this.SP)}, outside the stack region ` +
+                `${this.formatHex16(this.stack.low)}-${this.formatHex16(this.stack.top)}`);
+        }
+    }
 
-            // STAX B
-            case 0x02:
-                {
-                    const addr = this.getRegPair('B');
-                    this.memory[addr] = this.registers.A;
-                    instruction = 'STAX B';
-                }
-                break;
+    // Bytes on the stack. The stack wraps, so SP above the top gives a
+    // value of 8000H or more.
+    stackDepth() {
+        return (this.stack.top - this.SP) & 0xFFFF;
+    }
 
-            // INX B
-            case 0x03:
-                this.setRegPair('B', this.getRegPair('B') + 1);
-                instruction = 'INX B';
-                break;
+    stackSize() {
+        return (this.stack.top - this.stack.low) & 0xFFFF;
+    }
 
-            // INR B
-            case 0x04:
-                {
-                    const result = this.registers.B + 1;
-                    const auxCarry = ((this.registers.B & 0x0F) + 1) > 0x0F;
-                    this.registers.B = result & 0xFF;
-                    this.updateFlags(this.registers.B, null, auxCarry);
-                    instruction = 'INR B';
-                }
-                break;
+    stackError(message) {
+        if (this.stackPolicy === 'error') {
+            this.raiseFault(message);
+        } else {
+            this.warn(message, 'stack');
+        }
+    }
 
-            // DCR B
-            case 0x05:
-                {
-                    const result = this.registers.B - 1;
-                    const auxCarry = (this.registers.B & 0x0F) < 1;
-                    this.registers.B = result & 0xFF;
-                    this.updateFlags(this.registers.B, null, auxCarry);
-                    instruction = 'DCR B';
-                }
-                break;
+    // After a push: did the stack pass its limit or reach the program?
+    checkPush() {
+        const depth = this.stackDepth();
+        const size = this.stackSize();
+        if (depth > size && depth < 0x8000 && depth - 2 <= size) {
+            this.stackError(`Stack overflow: SP ${this.formatHex16(this.SP)} is below the stack limit ` +
+                `${this.formatHex16(this.stack.low)}`);
+        }
 
-            // MVI B, d8
-            case 0x06:
-                {
-                    const data = this.fetchByte();
-                    this.registers.B = data;
-                    instruction = `MVI B, ${this.formatHex8(data)}`;
-                }
-                break;
+        for (let i = 0; i < 2; i++) {
+            const address = (this.SP + i) & 0xFFFF;
+            const segment = this.programSegments.find(range => address >= range.start && address <= range.end);
+            if (segment) {
+                this.stackError(`Stack collided with the program at ${this.formatHex16(address)} ` +
+                    `(SP ${this.formatHex16(this.SP)})`);
+                return;
+            }
+        }
+    }
 
-            // RLC
-            case 0x07:
-                {
-                    const bit7 = (this.registers.A >> 7) & 1;
-                    this.registers.A = ((this.registers.A << 1) | bit7) & 0xFF;
-                    this.flags.CY = bit7;
-                    instruction = 'RLC';
-                }
-                break;
+    // Before a pop: is there anything on the stack?
+    checkPop() {
+        const depth = this.stackDepth();
+        if (depth < 2 || depth >= 0x8000) {
+            this.stackError(`Stack underflow: POP/RET with an empty stack (SP ${this.formatHex16(this.SP)}, ` +
+                `top ${this.formatHex16(this.stack.top)})`);
+        }
+    }
 
-            // DAD B
-            case 0x09:
-                {
-                    const hl = this.getRegPair('H');
-                    const bc = this.getRegPair('B');
-                    const result = hl + bc;
-                    this.flags.CY = result > 0xFFFF ? 1 : 0;
-                    this.setRegPair('H', result);
-                    instruction = 'DAD B';
-                }
-                break;
+    // Attach a device to an I/O port. The handler provides
+    // read(port) returning a byte and/or write(value, port)
+    mapPort(port, handler) {
+        if (!handler || (typeof handler.read !== 'function' && typeof handler.write !== 'function')) {
+            throw new Error('Port handler needs a read or write function');
+        }
+        this.portHandlers.set(port & 0xFF, handler);
+    }
 
-            // LDAX B
-            case 0x0A:
-                {
-                    const addr = this.getRegPair('B');
-                    this.registers.A = this.memory[addr];
-                    instruction = 'LDAX B';
-                }
-                break;
+    // Detach the device from an I/O port
+    unmapPort(port) {
+        this.portHandlers.delete(port & 0xFF);
+    }
 
-            // DCX B
-            case 0x0B:
-                this.setRegPair('B', this.getRegPair('B') - 1);
-                instruction = 'DCX B';
-                break;
+    // Choose what happens on IN/OUT to a port with no device:
+    // 'float' reads FFH (open bus), 'log' also records a warning,
+    // 'error' stops execution with a fault
+    setUnmappedPortPolicy(policy) {
+        if (!UNMAPPED_PORT_POLICIES.includes(policy)) {
+            throw new Error(`Unknown unmapped port policy: ${policy}`);
+        }
+        this.unmappedPortPolicy = policy;
+    }
 
-            // INR C
-            case 0x0C:
-                {
-                    const result = this.registers.C + 1;
-                    const auxCarry = ((this.registers.C & 0x0F) + 1) > 0x0F;
-                    this.registers.C = result & 0xFF;
-                    this.updateFlags(this.registers.C, null, auxCarry);
-                    instruction = 'INR C';
-                }
-                break;
+    // Read a byte from an I/O port
+    readPort(port) {
+        const handler = this.portHandlers.get(port);
+        if (handler && handler.read) {
+            return handler.read(port) & 0xFF;
+        }
+        this.unmappedPortAccess('read from', port);
+        return 0xFF;
+    }
 
-            // DCR C
-            case 0x0D:
-                {
-                    const result = this.registers.C - 1;
-                    const auxCarry = (this.registers.C & 0x0F) < 1;
-                    this.registers.C = result & 0xFF;
-                    this.updateFlags(this.registers.C, null, auxCarry);
-                    instruction = 'DCR C';
-                }
-                break;
+    // Write a byte to an I/O port
+    writePort(port, value) {
+        const handler = this.portHandlers.get(port);
+        if (handler && handler.write) {
+            handler.write(value & 0xFF, port);
+            return;
+        }
+        this.unmappedPortAccess('write to', port);
+    }
 
-            // MVI C, d8
-            case 0x0E:
-                {
-                    const data = this.fetchByte();
-                    this.registers.C = data;
-                    instruction = `MVI C, ${this.formatHex8(data)}`;
-                }
-                break;
+    // Apply the unmapped port policy
+    unmappedPortAccess(action, port) {
+        const message = `Unmapped port ${action} ${this.formatHex8(port)}`;
+        if (this.unmappedPortPolicy === 'error') {
+            this.raiseFault(message);
+        } else if (this.unmappedPortPolicy === 'log') {
+            this.warn(message);
+        }
+    }
 
-            // RRC
-            case 0x0F:
-                {
-                    const bit0 = this.registers.A & 1;
-                    this.registers.A = ((this.registers.A >> 1) | (bit0 << 7)) & 0xFF;
-                    this.flags.CY = bit0;
-                    instruction = 'RRC';
-                }
-                break;
+    // Record a diagnostic against the executing instruction. category
+    // groups related warnings, such as 'stack' for call stack mismatches.
+    warn(message, category = 'general') {
+        if (this.warnings.size !== this.warningLimit) {
+            this.warnings.setSize(this.warningLimit);
+        }
+        this.warnings.push({ address: this.instructionAddress, message: message, category: category });
+        this.warningTotal++;
+    }
 
-            // LXI D, d16
-            case 0x11:
-                {
-                    const data = this.fetchWord();
-                    this.setRegPair('D', data);
-                    instruction = `LXI D, ${this.formatHex16(data)}`;
-                }
-                break;
+    // Stop execution because of an error in the running program
+    raiseFault(message) {
+        this.fault = { address: this.instructionAddress, message: message };
+        this.halted = true;
+    }
 
-            // STAX D
-            case 0x12:
-                {
-                    const addr = this.getRegPair('D');
-                    this.memory[addr] = this.registers.A;
-                    instruction = 'STAX D';
-                }
-                break;
+    // Request an interrupt between steps. Requests stay pending until
+    // acknowledged or withdrawn. INTR takes the RST opcode that the
+    // interrupting device places on the data bus.
+    raiseInterrupt(line, vector = 0xFF) {
+        if (!(line in INTERRUPT_VECTORS)) {
+            throw new Error(`Unknown interrupt line: ${line}`);
+        }
+        if (line === 'INTR') {
+            if ((vector & 0xC7) !== 0xC7) {
+                throw new Error(`INTR vector must be an RST opcode, got ${this.formatHex8(vector & 0xFF)}`);
+            }
+            this.interrupts.intrVector = vector;
+        }
+        this.interrupts.pending[line] = 1;
+    }
 
-            // INX D
-            case 0x13:
-                this.setRegPair('D', this.getRegPair('D') + 1);
-                instruction = 'INX D';
-                break;
+    // Withdraw a pending interrupt request
+    clearInterrupt(line) {
+        if (!(line in INTERRUPT_VECTORS)) {
+            throw new Error(`Unknown interrupt line: ${line}`);
+        }
+        this.interrupts.pending[line] = 0;
+    }
 
-            // INR D
-            case 0x14:
-                {
-                    const result = this.registers.D + 1;
-                    const auxCarry = ((this.registers.D & 0x0F) + 1) > 0x0F;
-                    this.registers.D = result & 0xFF;
-                    this.updateFlags(this.registers.D, null, auxCarry);
-                    instruction = 'INR D';
-                }
-                break;
+    // Drive the serial input data line read by RIM
+    setSID(bit) {
+        this.serial.SID = bit ? 1 : 0;
+    }
 
-            // DCR D
-            case 0x15:
-                {
-                    const result = this.registers.D - 1;
-                    const auxCarry = (this.registers.D & 0x0F) < 1;
-                    this.registers.D = result & 0xFF;
-                    this.updateFlags(this.registers.D, null, auxCarry);
-                    instruction = 'DCR D';
-                }
-                break;
+    // Highest priority interrupt the CPU would accept now, or null
+    getAcceptableInterrupt() {
+        const { enabled, masks, pending } = this.interrupts;
 
-            // MVI D, d8
-            case 0x16:
-                {
-                    const data = this.fetchByte();
-                    this.registers.D = data;
-                    instruction = `MVI D, ${this.formatHex8(data)}`;
-                }
-                break;
+        // TRAP is non-maskable and ignores the interrupt enable
+        if (pending.TRAP) {
+            return 'TRAP';
+        }
+        if (!enabled || this.eiDelay) {
+            return null;
+        }
+        for (const line of ['RST7.5', 'RST6.5', 'RST5.5']) {
+            if (pending[line] && !masks[line]) {
+                return line;
+            }
+        }
+        return pending.INTR ? 'INTR' : null;
+    }
 
-            // RAL
-            case 0x17:
-                {
-                    const bit7 = (this.registers.A >> 7) & 1;
-                    this.registers.A = ((this.registers.A << 1) | this.flags.CY) & 0xFF;
-                    this.flags.CY = bit7;
-                    instruction = 'RAL';
-                }
-                break;
+    hasPendingInterrupt() {
+        return this.getAcceptableInterrupt() !== null;
+    }
 
-            // DAD D
-            case 0x19:
-                {
-                    const hl = this.getRegPair('H');
-                    const de = this.getRegPair('D');
-                    const result = hl + de;
-                    this.flags.CY = result > 0xFFFF ? 1 : 0;
-                    this.setRegPair('H', result);
-                    instruction = 'DAD D';
-                }
-                break;
+    // Whether another step can execute (an interrupt wakes the CPU from HLT)
+    canResume() {
+        return !this.halted || (!this.fault && this.hasPendingInterrupt());
+    }
 
-            // LDAX D
-            case 0x1A:
-                {
-                    const addr = this.getRegPair('D');
-                    this.registers.A = this.memory[addr];
-                    instruction = 'LDAX D';
-                }
-                break;
+    // Acknowledge an interrupt: disable interrupts, push PC and restart
+    serviceInterrupt(line) {
+        const interrupts = this.interrupts;
+        interrupts.pending[line] = 0;
 
-            // DCX D
-            case 0x1B:
-                this.setRegPair('D', this.getRegPair('D') - 1);
-                instruction = 'DCX D';
-                break;
+        // RIM reports the pre-TRAP enable state so the handler can restore it
+        if (line === 'TRAP') {
+            interrupts.enabledBeforeTrap = interrupts.enabled;
+        }
+        interrupts.enabled = 0;
+        this.halted = false;
 
-            // INR E
-            case 0x1C:
-                {
-                    const result = this.registers.E + 1;
-                    const auxCarry = ((this.registers.E & 0x0F) + 1) > 0x0F;
-                    this.registers.E = result & 0xFF;
-                    this.updateFlags(this.registers.E, null, auxCarry);
-                    instruction = 'INR E';
-                }
-                break;
+        const vector = line === 'INTR' ? (interrupts.intrVector & 0x38) : INTERRUPT_VECTORS[line];
+        this.pushStack(this.PC);
+        this.PC = vector;
 
-            // DCR E
-            case 0x1D:
-                {
-                    const result = this.registers.E - 1;
-                    const auxCarry = (this.registers.E & 0x0F) < 1;
-                    this.registers.E = result & 0xFF;
-                    this.updateFlags(this.registers.E, null, auxCarry);
-                    instruction = 'DCR E';
-                }
-                break;
+        return `${line} -> ${this.formatHex16(vector)}`;
+    }
 
-            // MVI E, d8
-            case 0x1E:
-                {
-                    const data = this.fetchByte();
-                    this.registers.E = data;
-                    instruction = `MVI E, ${this.formatHex8(data)}`;
-                }
-                break;
+    // Set the clock frequency (Hz) used to report elapsed time
+    setClockFrequency(hz) {
+        if (!(hz > 0)) {
+            throw new Error(`Invalid clock frequency: ${hz}`);
+        }
+        this.clockFrequency = hz;
+    }
 
-            // RAR
-            case 0x1F:
-                {
-                    const bit0 = this.registers.A & 1;
-                    this.registers.A = ((this.registers.A >> 1) | (this.flags.CY << 7)) & 0xFF;
-                    this.flags.CY = bit0;
-                    instruction = 'RAR';
-                }
-                break;
+    // RIM: read the interrupt masks, pending interrupts and SID into A
+    readInterruptMask() {
+        const { masks, pending } = this.interrupts;
+        let enabled = this.interrupts.enabled;
+        if (this.interrupts.enabledBeforeTrap !== null) {
+            enabled = this.interrupts.enabledBeforeTrap;
+            this.interrupts.enabledBeforeTrap = null;
+        }
+        this.regs[REG_A] = (this.serial.SID << 7) |
+                           (pending['RST7.5'] << 6) |
+                           (pending['RST6.5'] << 5) |
+                           (pending['RST5.5'] << 4) |
+                           (enabled << 3) |
+                           (masks['RST7.5'] << 2) |
+                           (masks['RST6.5'] << 1) |
+                           masks['RST5.5'];
+    }
 
-            // RIM
-            case 0x20:
-                instruction = 'RIM';
-                break;
+    // SIM: set the interrupt masks and SOD from a
+    setInterruptMask(a) {
+        // Mask set enable
+        if (a & 0x08) {
+            this.interrupts.masks['RST5.5'] = a & 1;
+            this.interrupts.masks['RST6.5'] = (a >> 1) & 1;
+            this.interrupts.masks['RST7.5'] = (a >> 2) & 1;
+        }
+        // Reset the RST 7.5 edge latch
+        if (a & 0x10) {
+            this.interrupts.pending['RST7.5'] = 0;
+        }
+        // Serial output enable
+        if (a & 0x40) {
+            this.serial.SOD = (a >> 7) & 1;
+        }
+    }
 
-            // LXI H, d16
-            case 0x21:
-                {
-                    const data = this.fetchWord();
-                    this.setRegPair('H', data);
-                    instruction = `LXI H, ${this.formatHex16(data)}`;
-                }
-                break;
+    // Choose how runs execute; see EXECUTION_MODES
+    setMode(mode) {
+        if (!EXECUTION_MODES.includes(mode)) {
+            throw new Error(`Unknown execution mode: ${mode}`);
+        }
+        this.mode = mode;
+    }
 
-            // SHLD addr
-            case 0x22:
-                {
-                    const addr = this.fetchWord();
-                    this.memory[addr] = this.registers.L;
-                    this.memory[(addr + 1) & 0xFFFF] = this.registers.H;
-                    instruction = `SHLD ${this.formatHex16(addr)}`;
-                }
-                break;
+    // Acknowledge an interrupt or fetch, decode and execute one
+    // instruction through the decode table. Fills in and returns
+    // this.executed; the mnemonic is only formatted when asked for, by
+    // describeExecuted().
+    executeInstruction() {
+        const executed = this.executed;
+        const startPC = this.PC;
+        this.instructionAddress = startPC;
+        executed.address = startPC;
+        executed.spBefore = this.SP;
+
+        // Interrupts are sampled before each instruction; EI takes effect
+        // only after the instruction that follows it
+        const interrupt = this.getAcceptableInterrupt();
+        this.eiDelay = false;
+        if (interrupt) {
+            executed.opcode = null;
+            executed.entry = null;
+            executed.interrupt = this.serviceInterrupt(interrupt);
+            executed.tStates = INTERRUPT_T_STATES;
+            this.cycles += INTERRUPT_T_STATES;
+            return executed;
+        }
 
-            // INX H
-            case 0x23:
-                this.setRegPair('H', this.getRegPair('H') + 1);
-                instruction = 'INX H';
-                break;
+        const opcode = this.fetchByte();
+        const entry = (this.undocumented ? UNDOCUMENTED_DECODE_TABLE : DECODE_TABLE)[opcode];
+        let operand = 0;
+        if (entry.size === 2) {
+            operand = this.fetchByte();
+        } else if (entry.size === 3) {
+            operand = this.fetchWord();
+        }
+        executed.opcode = opcode;
+        executed.entry = entry;
+        executed.operand = operand;
+        executed.interrupt = null;
+
+        // Branch instructions leave the flags alone, so timing can be decided up front
+        let tStates = entry.tStates;
+        if (entry.condition) {
+            tStates = entry.condition(this) ? tStates[1] : tStates[0];
+        }
+        executed.tStates = tStates;
 
-            // INR H
-            case 0x24:
-                {
-                    const result = this.registers.H + 1;
-                    const auxCarry = ((this.registers.H & 0x0F) + 1) > 0x0F;
-                    this.registers.H = result & 0xFF;
-                    this.updateFlags(this.registers.H, null, auxCarry);
-                    instruction = 'INR H';
-                }
-                break;
+        const unwritten = entry.reads & ~this.initializedRegisters;
+        if (unwritten) {
+            this.uninitializedRegisters(unwritten);
+        }
+        entry.execute(this, operand);
+        this.initializedRegisters |= entry.writes;
 
-            // DCR H
-            case 0x25:
-                {
-                    const result = this.registers.H - 1;
-                    const auxCarry = (this.registers.H & 0x0F) < 1;
-                    this.registers.H = result & 0xFF;
-                    this.updateFlags(this.registers.H, null, auxCarry);
-                    instruction = 'DCR H';
-                }
-                break;
+        this.cycles += tStates;
+        return executed;
+    }
 
-            // MVI H, d8
-            case 0x26:
-                {
-                    const data = this.fetchByte();
-                    this.registers.H = data;
-                    instruction = `MVI H, ${this.formatHex8(data)}`;
-                }
-                break;
+    // Mnemonic of what executeInstruction() last ran, e.g. "MVI A, 05H"
+    describeExecuted() {
+        const executed = this.executed;
+        return executed.entry ? formatInstruction(executed.entry, executed.operand) : executed.interrupt;
+    }
 
-            // DAA
-            case 0x27:
-                {
-                    let correction = 0;
-                    let setCarry = false;
+    // Execute single instruction, journaling it for Step Back and
+    // recording it in the trace
+    step() {
+        if (!this.canResume()) {
+            return { halted: true, instruction: 'HLT' };
+        }
 
-                    if ((this.registers.A & 0x0F) > 9 || this.flags.AC) {
-                        correction += 0x06;
-                    }
+        this.journal = { state: this.captureState(), memory: [], marks: [] };
+        this.fetchedBytes = [];
+        const executed = this.executeInstruction();
 
-                    if ((this.registers.A >> 4) > 9 || this.flags.CY || 
-                        ((this.registers.A >> 4) >= 9 && (this.registers.A & 0x0F) > 9)) {
-                        correction += 0x60;
-                        setCarry = true;
-                    }
+        const instruction = this.describeExecuted();
+        const record = this.createTraceRecord(executed.address, instruction, executed.tStates);
+        this.fetchedBytes = null;
+        this.trace.push(record);
+        this.trackCallStack(executed.address, executed.opcode, executed.spBefore);
 
-                    const auxCarry = ((this.registers.A & 0x0F) + (correction & 0x0F)) > 0x0F;
-                    this.registers.A = (this.registers.A + correction) & 0xFF;
-                    this.updateFlags(this.registers.A, setCarry || this.flags.CY, auxCarry);
-                    instruction = 'DAA';
-                }
-                break;
+        // Keep the undo record, dropping the oldest beyond the limit
+        this.journal.record = record;
+        if (this.history.size !== this.historyLimit) {
+            this.history.setSize(this.historyLimit);
+        }
+        this.history.push(this.journal);
+        this.journal = null;
 
-            // DAD H
-            case 0x29:
-                {
-                    const hl = this.getRegPair('H');
-                    const result = hl + hl;
-                    this.flags.CY = result > 0xFFFF ? 1 : 0;
-                    this.setRegPair('H', result);
-                    instruction = 'DAD H';
-                }
-                break;
+        return {
+            halted: this.halted,
+            instruction: instruction,
+            address: executed.address,
+            tStates: executed.tStates,
+            fault: this.fault,
+            opcode: executed.opcode,
+            watchHits: this.watchpoints.takeHits()
+        };
+    }
 
-            // LHLD addr
-            case 0x2A:
-                {
-                    const addr = this.fetchWord();
-                    this.registers.L = this.memory[addr];
-                    this.registers.H = this.memory[(addr + 1) & 0xFFFF];
-                    instruction = `LHLD ${this.formatHex16(addr)}`;
-                }
-                break;
+    // Execute one instruction for a run in fast mode: no undo journal,
+    // trace record or mnemonic. Steps can't be undone, so the history is
+    // dropped. Returns this.executed, which the next step reuses.
+    stepFast() {
+        if (this.history.count > 0) {
+            this.history.clear();
+        }
+        const executed = this.executeInstruction();
+        this.trackCallStack(executed.address, executed.opcode, executed.spBefore);
+        this.stepCount++;
+
+        executed.halted = this.halted;
+        executed.fault = this.fault;
+        executed.watchHits = this.watchpoints.takeHits();
+        return executed;
+    }
 
-            // DCX H
-            case 0x2B:
-                this.setRegPair('H', this.getRegPair('H') - 1);
-                instruction = 'DCX H';
-                break;
+    // Build the trace record of the step just executed: only the registers
+    // and flags it changed, plus its memory writes if the trace keeps them
+    createTraceRecord(startPC, instruction, tStates) {
+        const before = this.journal ? this.journal.state : null;
+        const changes = { registers: {}, flags: {} };
+        const registers = this.registerValues();
+        for (const name of REGISTER_NAMES) {
+            const value = registers[name];
+            if (!before || before.registers[name] !== value) changes.registers[name] = value;
+        }
+        if (!before || before.SP !== this.SP) changes.registers.SP = this.SP;
+        for (const name in this.flags) {
+            const value = this.flags[name];
+            if (!before || before.flags[name] !== value) changes.flags[name] = value;
+        }
 
-            // INR L
-            case 0x2C:
-                {
-                    const result = this.registers.L + 1;
-                    const auxCarry = ((this.registers.L & 0x0F) + 1) > 0x0F;
-                    this.registers.L = result & 0xFF;
-                    this.updateFlags(this.registers.L, null, auxCarry);
-                    instruction = 'INR L';
-                }
-                break;
-
-            // DCR L
-            case 0x2D:
-                {
-                    const result = this.registers.L - 1;
-                    const auxCarry = (this.registers.L & 0x0F) < 1;
-                    this.registers.L = result & 0xFF;
-                    this.updateFlags(this.registers.L, null, auxCarry);
-                    instruction = 'DCR L';
-                }
-                break;
-
-            // MVI L, d8
-            case 0x2E:
-                {
-                    const data = this.fetchByte();
-                    this.registers.L = data;
-                    instruction = `MVI L, ${this.formatHex8(data)}`;
-                }
-                break;
-
-            // CMA
-            case 0x2F:
-                this.registers.A = (~this.registers.A) & 0xFF;
-                instruction = 'CMA';
-                break;
-
-            // SIM
-            case 0x30:
-                instruction = 'SIM';
-                break;
-
-            // LXI SP, d16
-            case 0x31:
-                {
-                    const data = this.fetchWord();
-                    this.SP = data;
-                    instruction = `LXI SP, ${this.formatHex16(data)}`;
-                }
-                break;
-
-            // STA addr
-            case 0x32:
-                {
-                    const addr = this.fetchWord();
-                    this.memory[addr] = this.registers.A;
-                    instruction = `STA ${this.formatHex16(addr)}`;
-                }
-                break;
-
-            // INX SP
-            case 0x33:
-                this.SP = (this.SP + 1) & 0xFFFF;
-                instruction = 'INX SP';
-                break;
-
-            // INR M
-            case 0x34:
-                {
-                    const m = this.getM();
-                    const result = m + 1;
-                    const auxCarry = ((m & 0x0F) + 1) > 0x0F;
-                    this.setM(result & 0xFF);
-                    this.updateFlags(result & 0xFF, null, auxCarry);
-                    instruction = 'INR M';
-                }
-                break;
-
-            // DCR M
-            case 0x35:
-                {
-                    const m = this.getM();
-                    const result = m - 1;
-                    const auxCarry = (m & 0x0F) < 1;
-                    this.setM(result & 0xFF);
-                    this.updateFlags(result & 0xFF, null, auxCarry);
-                    instruction = 'DCR M';
-                }
-                break;
-
-            // MVI M, d8
-            case 0x36:
-                {
-                    const data = this.fetchByte();
-                    this.setM(data);
-                    instruction = `MVI M, ${this.formatHex8(data)}`;
-                }
-                break;
-
-            // STC
-            case 0x37:
-                this.flags.CY = 1;
-                instruction = 'STC';
-                break;
-
-            // DAD SP
-            case 0x39:
-                {
-                    const hl = this.getRegPair('H');
-                    const result = hl + this.SP;
-                    this.flags.CY = result > 0xFFFF ? 1 : 0;
-                    this.setRegPair('H', result);
-                    instruction = 'DAD SP';
-                }
-                break;
-
-            // LDA addr
-            case 0x3A:
-                {
-                    const addr = this.fetchWord();
-                    this.registers.A = this.memory[addr];
-                    instruction = `LDA ${this.formatHex16(addr)}`;
-                }
-                break;
-
-            // DCX SP
-            case 0x3B:
-                this.SP = (this.SP - 1) & 0xFFFF;
-                instruction = 'DCX SP';
-                break;
-
-            // INR A
-            case 0x3C:
-                {
-                    const result = this.registers.A + 1;
-                    const auxCarry = ((this.registers.A & 0x0F) + 1) > 0x0F;
-                    this.registers.A = result & 0xFF;
-                    this.updateFlags(this.registers.A, null, auxCarry);
-                    instruction = 'INR A';
-                }
-                break;
-
-            // DCR A
-            case 0x3D:
-                {
-                    const result = this.registers.A - 1;
-                    const auxCarry = (this.registers.A & 0x0F) < 1;
-                    this.registers.A = result & 0xFF;
-                    this.updateFlags(this.registers.A, null, auxCarry);
-                    instruction = 'DCR A';
-                }
-                break;
-
-            // MVI A, d8
-            case 0x3E:
-                {
-                    const data = this.fetchByte();
-                    this.registers.A = data;
-                    instruction = `MVI A, ${this.formatHex8(data)}`;
-                }
-                break;
-
-            // CMC
-            case 0x3F:
-                this.flags.CY = this.flags.CY ? 0 : 1;
-                instruction = 'CMC';
-                break;
-
-            // MOV B,B to MOV B,A (0x40-0x47)
-            case 0x40: this.registers.B = this.registers.B; instruction = 'MOV B,B'; break;
-            case 0x41: this.registers.B = this.registers.C; instruction = 'MOV B,C'; break;
-            case 0x42: this.registers.B = this.registers.D; instruction = 'MOV B,D'; break;
-            case 0x43: this.registers.B = this.registers.E; instruction = 'MOV B,E'; break;
-            case 0x44: this.registers.B = this.registers.H; instruction = 'MOV B,H'; break;
-            case 0x45: this.registers.B = this.registers.L; instruction = 'MOV B,L'; break;
-            case 0x46: this.registers.B = this.getM(); instruction = 'MOV B,M'; break;
-            case 0x47: this.registers.B = this.registers.A; instruction = 'MOV B,A'; break;
-
-            // MOV C,B to MOV C,A (0x48-0x4F)
-            case 0x48: this.registers.C = this.registers.B; instruction = 'MOV C,B'; break;
-            case 0x49: this.registers.C = this.registers.C; instruction = 'MOV C,C'; break;
-            case 0x4A: this.registers.C = this.registers.D; instruction = 'MOV C,D'; break;
-            case 0x4B: this.registers.C = this.registers.E; instruction = 'MOV C,E'; break;
-            case 0x4C: this.registers.C = this.registers.H; instruction = 'MOV C,H'; break;
-            case 0x4D: this.registers.C = this.registers.L; instruction = 'MOV C,L'; break;
-            case 0x4E: this.registers.C = this.getM(); instruction = 'MOV C,M'; break;
-            case 0x4F: this.registers.C = this.registers.A; instruction = 'MOV C,A'; break;
-
-            // MOV D,B to MOV D,A (0x50-0x57)
-            case 0x50: this.registers.D = this.registers.B; instruction = 'MOV D,B'; break;
-            case 0x51: this.registers.D = this.registers.C; instruction = 'MOV D,C'; break;
-            case 0x52: this.registers.D = this.registers.D; instruction = 'MOV D,D'; break;
-            case 0x53: this.registers.D = this.registers.E; instruction = 'MOV D,E'; break;
-            case 0x54: this.registers.D = this.registers.H; instruction = 'MOV D,H'; break;
-            case 0x55: this.registers.D = this.registers.L; instruction = 'MOV D,L'; break;
-            case 0x56: this.registers.D = this.getM(); instruction = 'MOV D,M'; break;
-            case 0x57: this.registers.D = this.registers.A; instruction = 'MOV D,A'; break;
-
-            // MOV E,B to MOV E,A (0x58-0x5F)
-            case 0x58: this.registers.E = this.registers.B; instruction = 'MOV E,B'; break;
-            case 0x59: this.registers.E = this.registers.C; instruction = 'MOV E,C'; break;
-            case 0x5A: this.registers.E = this.registers.D; instruction = 'MOV E,D'; break;
-            case 0x5B: this.registers.E = this.registers.E; instruction = 'MOV E,E'; break;
-            case 0x5C: this.registers.E = this.registers.H; instruction = 'MOV E,H'; break;
-            case 0x5D: this.registers.E = this.registers.L; instruction = 'MOV E,L'; break;
-            case 0x5E: this.registers.E = this.getM(); instruction = 'MOV E,M'; break;
-            case 0x5F: this.registers.E = this.registers.A; instruction = 'MOV E,A'; break;
-
-            // MOV H,B to MOV H,A (0x60-0x67)
-            case 0x60: this.registers.H = this.registers.B; instruction = 'MOV H,B'; break;
-            case 0x61: this.registers.H = this.registers.C; instruction = 'MOV H,C'; break;
-            case 0x62: this.registers.H = this.registers.D; instruction = 'MOV H,D'; break;
-            case 0x63: this.registers.H = this.registers.E; instruction = 'MOV H,E'; break;
-            case 0x64: this.registers.H = this.registers.H; instruction = 'MOV H,H'; break;
-            case 0x65: this.registers.H = this.registers.L; instruction = 'MOV H,L'; break;
-            case 0x66: this.registers.H = this.getM(); instruction = 'MOV H,M'; break;
-            case 0x67: this.registers.H = this.registers.A; instruction = 'MOV H,A'; break;
-
-            // MOV L,B to MOV L,A (0x68-0x6F)
-            case 0x68: this.registers.L = this.registers.B; instruction = 'MOV L,B'; break;
-            case 0x69: this.registers.L = this.registers.C; instruction = 'MOV L,C'; break;
-            case 0x6A: this.registers.L = this.registers.D; instruction = 'MOV L,D'; break;
-            case 0x6B: this.registers.L = this.registers.E; instruction = 'MOV L,E'; break;
-            case 0x6C: this.registers.L = this.registers.H; instruction = 'MOV L,H'; break;
-            case 0x6D: this.registers.L = this.registers.L; instruction = 'MOV L,L'; break;
-            case 0x6E: this.registers.L = this.getM(); instruction = 'MOV L,M'; break;
-            case 0x6F: this.registers.L = this.registers.A; instruction = 'MOV L,A'; break;
-
-            // MOV M,B to MOV M,L (0x70-0x75)
-            case 0x70: this.setM(this.registers.B); instruction = 'MOV M,B'; break;
-            case 0x71: this.setM(this.registers.C); instruction = 'MOV M,C'; break;
-            case 0x72: this.setM(this.registers.D); instruction = 'MOV M,D'; break;
-            case 0x73: this.setM(this.registers.E); instruction = 'MOV M,E'; break;
-            case 0x74: this.setM(this.registers.H); instruction = 'MOV M,H'; break;
-            case 0x75: this.setM(this.registers.L); instruction = 'MOV M,L'; break;
-
-            // HLT
-            case 0x76:
-                this.halted = true;
-                instruction = 'HLT';
-                break;
-
-            // MOV M,A
-            case 0x77: this.setM(this.registers.A); instruction = 'MOV M,A'; break;
-
-            // MOV A,B to MOV A,A (0x78-0x7F)
-            case 0x78: this.registers.A = this.registers.B; instruction = 'MOV A,B'; break;
-            case 0x79: this.registers.A = this.registers.C; instruction = 'MOV A,C'; break;
-            case 0x7A: this.registers.A = this.registers.D; instruction = 'MOV A,D'; break;
-            case 0x7B: this.registers.A = this.registers.E; instruction = 'MOV A,E'; break;
-            case 0x7C: this.registers.A = this.registers.H; instruction = 'MOV A,H'; break;
-            case 0x7D: this.registers.A = this.registers.L; instruction = 'MOV A,L'; break;
-            case 0x7E: this.registers.A = this.getM(); instruction = 'MOV A,M'; break;
-            case 0x7F: this.registers.A = this.registers.A; instruction = 'MOV A,A'; break;
-
-            // ADD B to ADD A (0x80-0x87)
-            case 0x80: case 0x81: case 0x82: case 0x83:
-            case 0x84: case 0x85: case 0x86: case 0x87:
-                {
-                    const regs = ['B', 'C', 'D', 'E', 'H', 'L', 'M', 'A'];
-                    const reg = regs[opcode - 0x80];
-                    const val = this.getReg(reg);
-                    const result = this.registers.A + val;
-                    const auxCarry = ((this.registers.A & 0x0F) + (val & 0x0F)) > 0x0F;
-                    this.registers.A = result & 0xFF;
-                    this.updateFlags(this.registers.A, result > 0xFF, auxCarry);
-                    instruction = `ADD ${reg}`;
-                }
-                break;
-
-            // ADC B to ADC A (0x88-0x8F)
-            case 0x88: case 0x89: case 0x8A: case 0x8B:
-            case 0x8C: case 0x8D: case 0x8E: case 0x8F:
-                {
-                    const regs = ['B', 'C', 'D', 'E', 'H', 'L', 'M', 'A'];
-                    const reg = regs[opcode - 0x88];
-                    const val = this.getReg(reg);
-                    const carry = this.flags.CY;
-                    const result = this.registers.A + val + carry;
-                    const auxCarry = ((this.registers.A & 0x0F) + (val & 0x0F) + carry) > 0x0F;
-                    this.registers.A = result & 0xFF;
-                    this.updateFlags(this.registers.A, result > 0xFF, auxCarry);
-                    instruction = `ADC ${reg}`;
-                }
-                break;
-
-            // SUB B to SUB A (0x90-0x97)
-            case 0x90: case 0x91: case 0x92: case 0x93:
-            case 0x94: case 0x95: case 0x96: case 0x97:
-                {
-                    const regs = ['B', 'C', 'D', 'E', 'H', 'L', 'M', 'A'];
-                    const reg = regs[opcode - 0x90];
-                    const val = this.getReg(reg);
-                    const result = this.registers.A - val;
-                    const auxCarry = (this.registers.A & 0x0F) < (val & 0x0F);
-                    this.registers.A = result & 0xFF;
-                    this.updateFlags(this.registers.A, result < 0, auxCarry);
-                    instruction = `SUB ${reg}`;
-                }
-                break;
-
-            // SBB B to SBB A (0x98-0x9F)
-            case 0x98: case 0x99: case 0x9A: case 0x9B:
-            case 0x9C: case 0x9D: case 0x9E: case 0x9F:
-                {
-                    const regs = ['B', 'C', 'D', 'E', 'H', 'L', 'M', 'A'];
-                    const reg = regs[opcode - 0x98];
-                    const val = this.getReg(reg);
-                    const carry = this.flags.CY;
-                    const result = this.registers.A - val - carry;
-                    const auxCarry = (this.registers.A & 0x0F) < ((val & 0x0F) + carry);
-                    this.registers.A = result & 0xFF;
-                    this.updateFlags(this.registers.A, result < 0, auxCarry);
-                    instruction = `SBB ${reg}`;
-                }
-                break;
-
-            // ANA B to ANA A (0xA0-0xA7)
-            case 0xA0: case 0xA1: case 0xA2: case 0xA3:
-            case 0xA4: case 0xA5: case 0xA6: case 0xA7:
-                {
-                    const regs = ['B', 'C', 'D', 'E', 'H', 'L', 'M', 'A'];
-                    const reg = regs[opcode - 0xA0];
-                    const val = this.getReg(reg);
-                    this.registers.A = this.registers.A & val;
-                    this.updateFlags(this.registers.A, false, true);
-                    instruction = `ANA ${reg}`;
-                }
-                break;
-
-            // XRA B to XRA A (0xA8-0xAF)
-            case 0xA8: case 0xA9: case 0xAA: case 0xAB:
-            case 0xAC: case 0xAD: case 0xAE: case 0xAF:
-                {
-                    const regs = ['B', 'C', 'D', 'E', 'H', 'L', 'M', 'A'];
-                    const reg = regs[opcode - 0xA8];
-                    const val = this.getReg(reg);
-                    this.registers.A = this.registers.A ^ val;
-                    this.updateFlags(this.registers.A, false, false);
-                    instruction = `XRA ${reg}`;
-                }
-                break;
-
-            // ORA B to ORA A (0xB0-0xB7)
-            case 0xB0: case 0xB1: case 0xB2: case 0xB3:
-            case 0xB4: case 0xB5: case 0xB6: case 0xB7:
-                {
-                    const regs = ['B', 'C', 'D', 'E', 'H', 'L', 'M', 'A'];
-                    const reg = regs[opcode - 0xB0];
-                    const val = this.getReg(reg);
-                    this.registers.A = this.registers.A | val;
-                    this.updateFlags(this.registers.A, false, false);
-                    instruction = `ORA ${reg}`;
-                }
-                break;
-
-            // CMP B to CMP A (0xB8-0xBF)
-            case 0xB8: case 0xB9: case 0xBA: case 0xBB:
-            case 0xBC: case 0xBD: case 0xBE: case 0xBF:
-                {
-                    const regs = ['B', 'C', 'D', 'E', 'H', 'L', 'M', 'A'];
-                    const reg = regs[opcode - 0xB8];
-                    const val = this.getReg(reg);
-                    const result = this.registers.A - val;
-                    const auxCarry = (this.registers.A & 0x0F) < (val & 0x0F);
-                    this.updateFlags(result & 0xFF, result < 0, auxCarry);
-                    instruction = `CMP ${reg}`;
-                }
-                break;
-
-            // RNZ
-            case 0xC0:
-                if (!this.flags.Z) {
-                    this.PC = this.popStack();
-                }
-                instruction = 'RNZ';
-                break;
-
-            // POP B
-            case 0xC1:
-                this.setRegPair('B', this.popStack());
-                instruction = 'POP B';
-                break;
-
-            // JNZ addr
-            case 0xC2:
-                {
-                    const addr = this.fetchWord();
-                    if (!this.flags.Z) {
-                        this.PC = addr;
-                    }
-                    instruction = `JNZ ${this.formatHex16(addr)}`;
-                }
-                break;
-
-            // JMP addr
-            case 0xC3:
-                {
-                    const addr = this.fetchWord();
-                    this.PC = addr;
-                    instruction = `JMP ${this.formatHex16(addr)}`;
-                }
-                break;
-
-            // CNZ addr
-            case 0xC4:
-                {
-                    const addr = this.fetchWord();
-                    if (!this.flags.Z) {
-                        this.pushStack(this.PC);
-                        this.PC = addr;
-                    }
-                    instruction = `CNZ ${this.formatHex16(addr)}`;
-                }
-                break;
-
-            // PUSH B
-            case 0xC5:
-                this.pushStack(this.getRegPair('B'));
-                instruction = 'PUSH B';
-                break;
-
-            // ADI d8
-            case 0xC6:
-                {
-                    const data = this.fetchByte();
-                    const result = this.registers.A + data;
-                    const auxCarry = ((this.registers.A & 0x0F) + (data & 0x0F)) > 0x0F;
-                    this.registers.A = result & 0xFF;
-                    this.updateFlags(this.registers.A, result > 0xFF, auxCarry);
-                    instruction = `ADI ${this.formatHex8(data)}`;
-                }
-                break;
-
-            // RST 0
-            case 0xC7:
-                this.pushStack(this.PC);
-                this.PC = 0x0000;
-                instruction = 'RST 0';
-                break;
-
-            // RZ
-            case 0xC8:
-                if (this.flags.Z) {
-                    this.PC = this.popStack();
-                }
-                instruction = 'RZ';
-                break;
-
-            // RET
-            case 0xC9:
-                this.PC = this.popStack();
-                instruction = 'RET';
-                break;
-
-            // JZ addr
-            case 0xCA:
-                {
-                    const addr = this.fetchWord();
-                    if (this.flags.Z) {
-                        this.PC = addr;
-                    }
-                    instruction = `JZ ${this.formatHex16(addr)}`;
-                }
-                break;
-
-            // CZ addr
-            case 0xCC:
-                {
-                    const addr = this.fetchWord();
-                    if (this.flags.Z) {
-                        this.pushStack(this.PC);
-                        this.PC = addr;
-                    }
-                    instruction = `CZ ${this.formatHex16(addr)}`;
-                }
-                break;
-
-            // CALL addr
-            case 0xCD:
-                {
-                    const addr = this.fetchWord();
-                    this.pushStack(this.PC);
-                    this.PC = addr;
-                    instruction = `CALL ${this.formatHex16(addr)}`;
-                }
-                break;
-
-            // ACI d8
-            case 0xCE:
-                {
-                    const data = this.fetchByte();
-                    const carry = this.flags.CY;
-                    const result = this.registers.A + data + carry;
-                    const auxCarry = ((this.registers.A & 0x0F) + (data & 0x0F) + carry) > 0x0F;
-                    this.registers.A = result & 0xFF;
-                    this.updateFlags(this.registers.A, result > 0xFF, auxCarry);
-                    instruction = `ACI ${this.formatHex8(data)}`;
-                }
-                break;
-
-            // RST 1
-            case 0xCF:
-                this.pushStack(this.PC);
-                this.PC = 0x0008;
-                instruction = 'RST 1';
-                break;
-
-            // RNC
-            case 0xD0:
-                if (!this.flags.CY) {
-                    this.PC = this.popStack();
-                }
-                instruction = 'RNC';
-                break;
-
-            // POP D
-            case 0xD1:
-                this.setRegPair('D', this.popStack());
-                instruction = 'POP D';
-                break;
-
-            // JNC addr
-            case 0xD2:
-                {
-                    const addr = this.fetchWord();
-                    if (!this.flags.CY) {
-                        this.PC = addr;
-                    }
-                    instruction = `JNC ${this.formatHex16(addr)}`;
-                }
-                break;
-
-            // OUT port
-            case 0xD3:
-                {
-                    const port = this.fetchByte();
-                    // I/O not fully implemented - just log it
-                    instruction = `OUT ${this.formatHex8(port)}`;
-                }
-                break;
-
-            // CNC addr
-            case 0xD4:
-                {
-                    const addr = this.fetchWord();
-                    if (!this.flags.CY) {
-                        this.pushStack(this.PC);
-                        this.PC = addr;
-                    }
-                    instruction = `CNC ${this.formatHex16(addr)}`;
-                }
-                break;
-
-            // PUSH D
-            case 0xD5:
-                this.pushStack(this.getRegPair('D'));
-                instruction = 'PUSH D';
-                break;
-
-            // SUI d8
-            case 0xD6:
-                {
-                    const data = this.fetchByte();
-                    const result = this.registers.A - data;
-                    const auxCarry = (this.registers.A & 0x0F) < (data & 0x0F);
-                    this.registers.A = result & 0xFF;
-                    this.updateFlags(this.registers.A, result < 0, auxCarry);
-                    instruction = `SUI ${this.formatHex8(data)}`;
-                }
-                break;
-
-            // RST 2
-            case 0xD7:
-                this.pushStack(this.PC);
-                this.PC = 0x0010;
-                instruction = 'RST 2';
-                break;
-
-            // RC
-            case 0xD8:
-                if (this.flags.CY) {
-                    this.PC = this.popStack();
-                }
-                instruction = 'RC';
-                break;
-
-            // JC addr
-            case 0xDA:
-                {
-                    const addr = this.fetchWord();
-                    if (this.flags.CY) {
-                        this.PC = addr;
-                    }
-                    instruction = `JC ${this.formatHex16(addr)}`;
-                }
-                break;
-
-            // IN port
-            case 0xDB:
-                {
-                    const port = this.fetchByte();
-                    // I/O not fully implemented - return 0
-                    this.registers.A = 0;
-                    instruction = `IN ${this.formatHex8(port)}`;
-                }
-                break;
-
-            // CC addr
-            case 0xDC:
-                {
-                    const addr = this.fetchWord();
-                    if (this.flags.CY) {
-                        this.pushStack(this.PC);
-                        this.PC = addr;
-                    }
-                    instruction = `CC ${this.formatHex16(addr)}`;
-                }
-                break;
-
-            // SBI d8
-            case 0xDE:
-                {
-                    const data = this.fetchByte();
-                    const carry = this.flags.CY;
-                    const result = this.registers.A - data - carry;
-                    const auxCarry = (this.registers.A & 0x0F) < ((data & 0x0F) + carry);
-                    this.registers.A = result & 0xFF;
-                    this.updateFlags(this.registers.A, result < 0, auxCarry);
-                    instruction = `SBI ${this.formatHex8(data)}`;
-                }
-                break;
-
-            // RST 3
-            case 0xDF:
-                this.pushStack(this.PC);
-                this.PC = 0x0018;
-                instruction = 'RST 3';
-                break;
-
-            // RPO
-            case 0xE0:
-                if (!this.flags.P) {
-                    this.PC = this.popStack();
-                }
-                instruction = 'RPO';
-                break;
-
-            // POP H
-            case 0xE1:
-                this.setRegPair('H', this.popStack());
-                instruction = 'POP H';
-                break;
-
-            // JPO addr
-            case 0xE2:
-                {
-                    const addr = this.fetchWord();
-                    if (!this.flags.P) {
-                        this.PC = addr;
-                    }
-                    instruction = `JPO ${this.formatHex16(addr)}`;
-                }
-                break;
-
-            // XTHL
-            case 0xE3:
-                {
-                    const temp = this.getRegPair('H');
-                    this.registers.L = this.memory[this.SP];
-                    this.registers.H = this.memory[(this.SP + 1) & 0xFFFF];
-                    this.memory[this.SP] = temp & 0xFF;
-                    this.memory[(this.SP + 1) & 0xFFFF] = (temp >> 8) & 0xFF;
-                    instruction = 'XTHL';
-                }
-                break;
-
-            // CPO addr
-            case 0xE4:
-                {
-                    const addr = this.fetchWord();
-                    if (!this.flags.P) {
-                        this.pushStack(this.PC);
-                        this.PC = addr;
-                    }
-                    instruction = `CPO ${this.formatHex16(addr)}`;
-                }
-                break;
+        const record = {
+            step: ++this.stepCount,
+            address: startPC,
+            bytes: this.fetchedBytes,
+            instruction: instruction,
+            tStates: tStates,
+            cycles: this.cycles,
+            changes: changes
+        };
+        if (this.trace.recordMemory && this.journal) {
+            record.memory = this.journal.memory.map(write => ({
+                address: write.address,
+                old: write.value,
+                new: this.memory[write.address]
+            }));
+        }
+        return record;
+    }
 
-            // PUSH H
-            case 0xE5:
-                this.pushStack(this.getRegPair('H'));
-                instruction = 'PUSH H';
-                break;
+    // Run until HLT, a breakpoint, a watchpoint or max steps. this.stopReason
+    // tells which: { type: 'halt' | 'fault' | 'breakpoint' | 'watchpoint' |
+    // 'limit' | 'stopped', ... }
+    run(maxSteps = 10000) {
+        return this.runUntil(() => false, maxSteps);
+    }
 
-            // ANI d8
-            case 0xE6:
-                {
-                    const data = this.fetchByte();
-                    this.registers.A = this.registers.A & data;
-                    this.updateFlags(this.registers.A, false, true);
-                    instruction = `ANI ${this.formatHex8(data)}`;
-                }
-                break;
+    // Like run(), but also stop once done(result) returns true after a
+    // step. stopReason.type is then 'done'. Returns the number of steps.
+    // With record set, steps keep their history and trace in fast mode too.
+    runUntil(done, maxSteps = 10000, record = false) {
+        this.running = true;
+        this.activeRun = null;
+        this.stopReason = null;
+        let steps = 0;
+        this.lastInstructions = [];
 
-            // RST 4
-            case 0xE7:
-                this.pushStack(this.PC);
-                this.PC = 0x0020;
-                instruction = 'RST 4';
-                break;
+        while (this.canResume() && steps < maxSteps && this.running) {
+            steps++;
+            if (this.runStep(done, record)) break;
+        }
 
-            // RPE
-            case 0xE8:
-                if (this.flags.P) {
-                    this.PC = this.popStack();
-                }
-                instruction = 'RPE';
-                break;
+        this.finishRun(steps, maxSteps);
+        return steps;
+    }
 
-            // PCHL
-            case 0xE9:
-                this.PC = this.getRegPair('H');
-                instruction = 'PCHL';
-                break;
+    // Run without blocking the page: steps run in slices of at most
+    // RUN_SLICE_MS, with a timer between slices so the browser can redraw
+    // and handle clicks. speed is one of RUN_SPEEDS; 'animate' runs
+    // stepsPerSecond instructions per second. onUpdate(steps) is called
+    // after every slice. Runs until HLT, a fault, a breakpoint, a
+    // watchpoint, stop() or maxSteps. Resolves with the number of steps;
+    // stopReason is set as for run(). Rejects, ending the run, if a step
+    // or onUpdate throws.
+    runAsync({ speed = 'fast', stepsPerSecond = 10, onUpdate = null, maxSteps = Infinity } = {}) {
+        if (!RUN_SPEEDS.includes(speed)) {
+            throw new Error(`Unknown run speed: ${speed}`);
+        }
+        if (speed === 'animate' && !(stepsPerSecond > 0)) {
+            throw new Error('Instructions per second must be greater than 0');
+        }
 
-            // JPE addr
-            case 0xEA:
-                {
-                    const addr = this.fetchWord();
-                    if (this.flags.P) {
-                        this.PC = addr;
-                    }
-                    instruction = `JPE ${this.formatHex16(addr)}`;
-                }
-                break;
+        // A later run, reset() or stop() ends this one at its next slice
+        const run = {};
+        this.activeRun = run;
+        this.running = true;
+        this.stopReason = null;
+        this.lastInstructions = [];
 
-            // XCHG
-            case 0xEB:
-                {
-                    const temp = this.getRegPair('H');
-                    this.setRegPair('H', this.getRegPair('D'));
-                    this.setRegPair('D', temp);
-                    instruction = 'XCHG';
-                }
-                break;
+        const startTime = performance.now();
+        const startCycles = this.cycles;
+        let steps = 0;
 
-            // CPE addr
-            case 0xEC:
-                {
-                    const addr = this.fetchWord();
-                    if (this.flags.P) {
-                        this.pushStack(this.PC);
-                        this.PC = addr;
+        return new Promise((resolve, reject) => {
+            const runSlice = () => {
+                const sliceStart = performance.now();
+                const elapsed = (sliceStart - startTime) / 1000;
+
+                // Steps or T-states the run should have reached by now
+                const stepTarget = speed === 'animate' ? Math.floor(elapsed * stepsPerSecond) + 1 : Infinity;
+                const cycleTarget = speed === 'realtime' ? startCycles + elapsed * this.clockFrequency : Infinity;
+
+                const active = () => this.running && this.activeRun === run;
+                while (active() && this.canResume() && steps < maxSteps &&
+                       steps < stepTarget && this.cycles < cycleTarget) {
+                    steps++;
+                    if (this.runStep(() => false)) break;
+                    if ((steps & 0xFF) === 0 && performance.now() - sliceStart > RUN_SLICE_MS) break;
+                }
+
+                if (this.activeRun !== run) {
+                    // Replaced by another run or a reset: leave its state alone
+                    resolve(steps);
+                    return;
+                }
+
+                const finished = this.stopReason || !this.running || !this.canResume() || steps >= maxSteps;
+                if (finished) {
+                    this.activeRun = null;
+                    this.finishRun(steps, maxSteps);
+                }
+                if (onUpdate) onUpdate(steps);
+
+                if (finished) {
+                    resolve(steps);
+                } else if (speed === 'animate') {
+                    const next = startTime + steps / stepsPerSecond * 1000;
+                    setTimeout(slice, Math.max(0, next - performance.now()));
+                } else {
+                    setTimeout(slice, speed === 'realtime' ? RUN_SLICE_MS : 0);
+                }
+            };
+            // Later slices run from a timer, where nothing else would see
+            // an exception
+            const slice = () => {
+                try {
+                    runSlice();
+                } catch (e) {
+                    if (this.activeRun === run) {
+                        this.activeRun = null;
+                        this.running = false;
                     }
-                    instruction = `CPE ${this.formatHex16(addr)}`;
+                    reject(e);
                 }
-                break;
-
-            // XRI d8
-            case 0xEE:
-                {
-                    const data = this.fetchByte();
-                    this.registers.A = this.registers.A ^ data;
-                    this.updateFlags(this.registers.A, false, false);
-                    instruction = `XRI ${this.formatHex8(data)}`;
-                }
-                break;
-
-            // RST 5
-            case 0xEF:
-                this.pushStack(this.PC);
-                this.PC = 0x0028;
-                instruction = 'RST 5';
-                break;
+            };
+            slice();
+        });
+    }
 
-            // RP
-            case 0xF0:
-                if (!this.flags.S) {
-                    this.PC = this.popStack();
-                }
-                instruction = 'RP';
-                break;
+    // Run one step for run(), runUntil() or runAsync(). Returns true and
+    // sets stopReason if the run should stop at a watchpoint, breakpoint or
+    // because done(result) is true.
+    runStep(done, record = false) {
+        let result;
+        if (this.mode === 'fast' && !record) {
+            result = this.stepFast();
+        } else {
+            result = this.step();
 
-            // POP PSW
-            case 0xF1:
-                this.setRegPair('PSW', this.popStack());
-                instruction = 'POP PSW';
-                break;
+            // Keep track of last 10 instructions for debugging
+            this.lastInstructions.push(`${result.address.toString(16).toUpperCase().padStart(4, '0')}: ${result.instruction}`);
+            if (this.lastInstructions.length > 10) {
+                this.lastInstructions.shift();
+            }
+        }
 
-            // JP addr
-            case 0xF2:
-                {
-                    const addr = this.fetchWord();
-                    if (!this.flags.S) {
-                        this.PC = addr;
-                    }
-                    instruction = `JP ${this.formatHex16(addr)}`;
-                }
-                break;
+        if (result.watchHits.length > 0) {
+            this.stopReason = { type: 'watchpoint', address: result.address, hits: result.watchHits };
+            return true;
+        }
 
-            // DI
-            case 0xF3:
-                instruction = 'DI';
-                break;
+        // A halt or fault is reported as such, even on the last step
+        if (this.canResume() && done(result)) {
+            this.stopReason = { type: 'done', address: this.PC };
+            return true;
+        }
 
-            // CP addr
-            case 0xF4:
-                {
-                    const addr = this.fetchWord();
-                    if (!this.flags.S) {
-                        this.pushStack(this.PC);
-                        this.PC = addr;
-                    }
-                    instruction = `CP ${this.formatHex16(addr)}`;
-                }
-                break;
+        // Check for breakpoints
+        const breakpoint = this.breakpoints.check(this.PC, this);
+        if (breakpoint) {
+            this.stopReason = { type: 'breakpoint', address: this.PC, breakpoint: breakpoint };
+            return true;
+        }
+        return false;
+    }
 
-            // PUSH PSW
-            case 0xF5:
-                this.pushStack(this.getRegPair('PSW'));
-                instruction = 'PUSH PSW';
-                break;
+    // Set stopReason for a run that ended without hitting a breakpoint,
+    // watchpoint or done condition
+    finishRun(steps, maxSteps) {
+        if (!this.stopReason) {
+            if (this.fault) {
+                this.stopReason = { type: 'fault' };
+            } else if (this.halted) {
+                this.stopReason = { type: 'halt' };
+            } else if (steps >= maxSteps) {
+                this.stopReason = { type: 'limit' };
+            } else {
+                this.stopReason = { type: 'stopped' };
+            }
+        }
 
-            // ORI d8
-            case 0xF6:
-                {
-                    const data = this.fetchByte();
-                    this.registers.A = this.registers.A | data;
-                    this.updateFlags(this.registers.A, false, false);
-                    instruction = `ORI ${this.formatHex8(data)}`;
-                }
-                break;
+        this.running = false;
+    }
+    
+    // Update the call stack after a step that started with SP at spBefore.
+    // A taken call, RST or interrupt pushes a frame; a taken return pops one
+    // and warns if the stack isn't as the call left it.
+    trackCallStack(startPC, opcode, spBefore) {
+        // Most instructions don't move SP by two
+        if (this.SP !== ((spBefore - 2) & 0xFFFF) && this.SP !== ((spBefore + 2) & 0xFFFF)) {
+            return;
+        }
+        const hex = value => this.formatHex16(value);
+
+        if (this.SP === ((spBefore - 2) & 0xFFFF) &&
+            (opcode === null || CALL_OPCODES.includes(opcode) || (this.undocumented && opcode === 0xCB))) {
+            let kind = 'call';
+            if (opcode === null) {
+                kind = 'interrupt';
+            } else if ((opcode & 0xC7) === 0xC7 || opcode === 0xCB) {
+                kind = 'rst';
+            }
+            this.callStack.push({
+                kind: kind,
+                callSite: startPC,
+                target: this.PC,
+                returnAddress: this.memory[this.SP] | (this.memory[(this.SP + 1) & 0xFFFF] << 8),
+                sp: this.SP,
+                instruction: this.describeExecuted()
+            });
+            return;
+        }
 
-            // RST 6
-            case 0xF7:
-                this.pushStack(this.PC);
-                this.PC = 0x0030;
-                instruction = 'RST 6';
-                break;
+        if (this.SP !== ((spBefore + 2) & 0xFFFF) || !RETURN_OPCODES.includes(opcode)) {
+            return;
+        }
 
-            // RM
-            case 0xF8:
-                if (this.flags.S) {
-                    this.PC = this.popStack();
-                }
-                instruction = 'RM';
-                break;
+        if (this.callStack.length === 0) {
+            this.warn(`RET to ${hex(this.PC)} with no matching CALL`, 'stack');
+            return;
+        }
 
-            // SPHL
-            case 0xF9:
-                this.SP = this.getRegPair('H');
-                instruction = 'SPHL';
-                break;
+        // The frame whose return address this RET popped
+        let index = this.callStack.length - 1;
+        while (index >= 0 && this.callStack[index].sp !== spBefore) {
+            index--;
+        }
 
-            // JM addr
-            case 0xFA:
-                {
-                    const addr = this.fetchWord();
-                    if (this.flags.S) {
-                        this.PC = addr;
-                    }
-                    instruction = `JM ${this.formatHex16(addr)}`;
-                }
-                break;
+        if (index === -1) {
+            const frame = this.callStack.pop();
+            const offset = frame.sp - spBefore;
+            if (offset > 0) {
+                this.warn(`RET from ${hex(frame.target)} with ${offset} byte(s) still pushed; ` +
+                    `returned to ${hex(this.PC)} instead of ${hex(frame.returnAddress)}`, 'stack');
+            } else {
+                this.warn(`RET from ${hex(frame.target)} after popping ${-offset} byte(s) more than were pushed; ` +
+                    `returned to ${hex(this.PC)} instead of ${hex(frame.returnAddress)}`, 'stack');
+            }
+            return;
+        }
 
-            // EI
-            case 0xFB:
-                instruction = 'EI';
-                break;
+        if (index < this.callStack.length - 1) {
+            this.warn(`RET returned past ${this.callStack.length - 1 - index} unfinished call(s); ` +
+                'a POP may have removed a return address', 'stack');
+        }
+        const frame = this.callStack[index];
+        this.callStack.length = index;
+        if (this.PC !== frame.returnAddress) {
+            this.warn(`RET from ${hex(frame.target)} returned to ${hex(this.PC)}; ` +
+                `the return address ${hex(frame.returnAddress)} was overwritten`, 'stack');
+        }
+    }
 
-            // CM addr
-            case 0xFC:
-                {
-                    const addr = this.fetchWord();
-                    if (this.flags.S) {
-                        this.pushStack(this.PC);
-                        this.PC = addr;
-                    }
-                    instruction = `CM ${this.formatHex16(addr)}`;
-                }
-                break;
+    // True if the instruction at PC is a call that Step Over runs through
+    isCallAt(address) {
+        const opcode = this.memory[address];
+        return CALL_OPCODES.includes(opcode) || (this.undocumented && opcode === 0xCB);
+    }
 
-            // CPI d8
-            case 0xFE:
-                {
-                    const data = this.fetchByte();
-                    const result = this.registers.A - data;
-                    const auxCarry = (this.registers.A & 0x0F) < (data & 0x0F);
-                    this.updateFlags(result & 0xFF, result < 0, auxCarry);
-                    instruction = `CPI ${this.formatHex8(data)}`;
-                }
-                break;
+    // Execute one instruction, but run a CALL, Ccc or RST through to its
+    // return: back at the next instruction with the stack at the same depth.
+    // Stops early for breakpoints, watchpoints, HLT and faults. Like Step,
+    // it records its steps in any mode so Step Back can undo them.
+    stepOver(maxSteps = 10000) {
+        if (!this.isCallAt(this.PC)) {
+            return this.runUntil(() => true, 1, true);
+        }
+        // RST n (11nnn111) and RSTV are one byte; CALL and Ccc are three
+        const opcode = this.memory[this.PC];
+        const size = (opcode & 0xC7) === 0xC7 || opcode === 0xCB ? 1 : 3;
+        const returnAddress = (this.PC + size) & 0xFFFF;
+        const startSP = this.SP;
+        return this.runUntil(() => this.PC === returnAddress && this.SP === startSP, maxSteps, true);
+    }
 
-            // RST 7
-            case 0xFF:
-                this.pushStack(this.PC);
-                this.PC = 0x0038;
-                instruction = 'RST 7';
-                break;
+    // Run until the current subroutine returns to its caller: a RET or Rcc
+    // that pops the stack above where it was when Step Out began. Recorded
+    // for Step Back in any mode, as Step Over is.
+    stepOut(maxSteps = 10000) {
+        const startSP = this.SP;
+        return this.runUntil(result => {
+            const popped = (this.SP - startSP) & 0xFFFF;
+            return RETURN_OPCODES.includes(result.opcode) && popped > 0 && popped < 0x8000;
+        }, maxSteps, true);
+    }
 
-            default:
-                instruction = `Unknown opcode: ${this.formatHex8(opcode)}`;
-        }
+    // The 8-bit registers by name, read from regs without the register
+    // view's accessors (this runs on every recorded step)
+    registerValues() {
+        const regs = this.regs;
+        return {
+            A: regs[REG_A], B: regs[REG_B], C: regs[REG_C], D: regs[REG_D],
+            E: regs[REG_E], H: regs[REG_H], L: regs[REG_L]
+        };
+    }
 
-        const logEntry = {
-            address: startPC,
-            instruction: instruction,
-            opcode: opcode,
-            registers: { ...this.registers },
+    // Copy of the CPU state needed to undo a step (memory is journaled separately)
+    captureState() {
+        return {
+            registers: this.registerValues(),
             flags: { ...this.flags },
+            SP: this.SP,
             PC: this.PC,
-            SP: this.SP
+            halted: this.halted,
+            cycles: this.cycles,
+            interrupts: {
+                enabled: this.interrupts.enabled,
+                masks: { ...this.interrupts.masks },
+                pending: { ...this.interrupts.pending },
+                intrVector: this.interrupts.intrVector,
+                enabledBeforeTrap: this.interrupts.enabledBeforeTrap
+            },
+            eiDelay: this.eiDelay,
+            serial: { ...this.serial },
+            fault: this.fault,
+            warningTotal: this.warningTotal,
+            callStack: [...this.callStack],
+            stack: { ...this.stack },
+            initializedRegisters: this.initializedRegisters,
+            inUninitializedCode: this.inUninitializedCode
         };
+    }
 
-        this.executionLog.push(logEntry);
+    // Put back a state taken by captureState()
+    restoreState(state) {
+        Object.assign(this.registers, state.registers);
+        this.initializedRegisters = state.initializedRegisters;
+        this.inUninitializedCode = state.inUninitializedCode;
+        Object.assign(this.flags, state.flags);
+        this.SP = state.SP;
+        this.PC = state.PC;
+        this.halted = state.halted;
+        this.cycles = state.cycles;
+        this.interrupts = {
+            ...state.interrupts,
+            masks: { ...state.interrupts.masks },
+            pending: { ...state.interrupts.pending }
+        };
+        this.eiDelay = state.eiDelay;
+        Object.assign(this.serial, state.serial);
+        this.fault = state.fault;
+        // Drop the warnings raised since, those that are still kept
+        while (this.warningTotal > state.warningTotal) {
+            this.warnings.pop();
+            this.warningTotal--;
+        }
+        this.callStack = [...state.callStack];
+        this.stack = { ...state.stack };
+    }
 
-        return {
-            halted: this.halted,
-            instruction: instruction,
-            address: startPC
+    // The whole machine as plain data that can be posted to a Web Worker
+    // and loaded into another Simulator with loadSnapshot(). Attached I/O
+    // devices and the Step Back history, which can hold thousands of
+    // steps, are not included. A live snapshot, for display updates during
+    // a run, also leaves out the settings, memory map, breakpoints and
+    // watchpoints.
+    getSnapshot(live = false) {
+        const snapshot = {
+            state: this.captureState(),
+            memory: this.memory.slice(),
+            initialized: this.initialized.slice(),
+            warnings: this.warnings.toArray(),
+            warningTotal: this.warningTotal,
+            stepCount: this.stepCount,
+            lastInstructions: [...this.getLastInstructions()],
+            trace: this.trace.snapshot()
         };
+        if (!live) {
+            snapshot.memoryMap = this.memoryMap.snapshot();
+            snapshot.breakpoints = this.breakpoints.snapshot();
+            snapshot.watchpoints = this.watchpoints.snapshot();
+            snapshot.settings = {
+                clockFrequency: this.clockFrequency,
+                undocumented: this.undocumented,
+                historyLimit: this.historyLimit,
+                warningLimit: this.warningLimit,
+                unmappedPortPolicy: this.unmappedPortPolicy,
+                stackPolicy: this.stackPolicy,
+                stackBounds: { ...this.stackBounds },
+                stackFollowsSP: this.stackFollowsSP,
+                programSegments: this.programSegments.map(segment => ({ ...segment })),
+                checkUninitialized: this.checkUninitialized,
+                randomPowerOn: this.randomPowerOn,
+                mode: this.mode
+            };
+        }
+        return snapshot;
     }
 
-    // Run until HLT or max steps
-    run(maxSteps = 10000) {
-        this.running = true;
-        let steps = 0;
-        this.lastInstructions = [];
+    // Take on the state in a getSnapshot(). Parts a live snapshot leaves
+    // out are kept as they are. The Step Back history no longer fits the
+    // machine, so it is cleared.
+    loadSnapshot(snapshot) {
+        if (snapshot.settings) {
+            Object.assign(this, snapshot.settings);
+        }
+        if (snapshot.memoryMap) {
+            this.memoryMap.restore(snapshot.memoryMap);
+        }
+        if (snapshot.breakpoints) {
+            this.breakpoints.restore(snapshot.breakpoints);
+        }
+        if (snapshot.watchpoints) {
+            this.watchpoints.restore(snapshot.watchpoints);
+        }
+        this.history.clear();
+        this.memory.set(snapshot.memory);
+        this.initialized.set(snapshot.initialized);
+        this.warnings.restore(snapshot.warnings);
+        this.warningTotal = snapshot.warningTotal;
+        this.restoreState(snapshot.state);
+        this.stepCount = snapshot.stepCount;
+        this.lastInstructions = [...snapshot.lastInstructions];
+        this.trace.restore(snapshot.trace);
+    }
 
-        while (!this.halted && steps < maxSteps && this.running) {
-            const result = this.step();
-            steps++;
-            
-            // Keep track of last 10 instructions for debugging
-            this.lastInstructions.push(`${result.address.toString(16).toUpperCase().padStart(4, '0')}: ${result.instruction}`);
-            if (this.lastInstructions.length > 10) {
-                this.lastInstructions.shift();
-            }
+    // Undo the last step, including its memory and stack writes. Returns
+    // the trace record of the undone step, or null if there is nothing to undo.
+    // Values already sent to output devices can't be taken back.
+    stepBack() {
+        const entry = this.history.pop();
+        if (!entry) {
+            return null;
+        }
+        for (let i = entry.memory.length - 1; i >= 0; i--) {
+            this.memory[entry.memory[i].address] = entry.memory[i].value;
+            this.initialized[entry.memory[i].address] = entry.memory[i].initialized;
+        }
+        // Reads of unwritten memory warn again when the step is redone
+        for (const address of entry.marks) {
+            this.initialized[address] = 0;
+        }
+        this.restoreState(entry.state);
+        this.stepCount = entry.record.step - 1;
+        this.trace.discardFrom(entry.record.step);
+        return entry.record;
+    }
 
-            // Check for breakpoints
-            if (this.breakpoints.has(this.PC)) {
+    // Step back until PC is at a breakpoint whose condition holds, or the
+    // history runs out. Hit counts are ignored. Returns the steps undone.
+    runBack(maxSteps = this.historyLimit) {
+        let steps = 0;
+        while (this.history.count > 0 && steps < maxSteps) {
+            this.stepBack();
+            steps++;
+            if (this.breakpoints.matches(this.PC, this)) {
                 break;
             }
         }
-
-        this.running = false;
         return steps;
     }
-    
+
     // Get last executed instructions (for debugging)
     getLastInstructions() {
         return this.lastInstructions || [];
     }
 
-    // Stop execution
+    // Stop execution. A runAsync() run stops at the end of its current
+    // slice with stopReason 'stopped'.
     stop() {
         this.running = false;
     }
@@ -1564,6 +1510,21 @@ class Simulator {
     // Set memory value
     setMemory(address, value) {
         this.memory[address & 0xFFFF] = value & 0xFF;
+        this.initialized[address & 0xFFFF] = 1;
+    }
+
+    // Copy memory from start to end (inclusive) into a new byte array
+    readBlock(start, end) {
+        return this.memory.slice(start, end + 1);
+    }
+
+    // Copy a byte array into memory at start. Throws if it runs past FFFFH.
+    writeBlock(start, bytes) {
+        if (start < 0 || start + bytes.length > 0x10000) {
+            throw new Error(`${bytes.length} bytes at ${this.formatHex16(start & 0xFFFF)} run past FFFFH`);
+        }
+        this.memory.set(bytes, start);
+        this.initialized.fill(1, start, start + bytes.length);
     }
 
     // Get current state
@@ -1573,10 +1534,30 @@ class Simulator {
             SP: this.SP,
             PC: this.PC,
             flags: { ...this.flags },
-            halted: this.halted
+            halted: this.halted,
+            fault: this.fault,
+            cycles: this.cycles,
+            clockFrequency: this.clockFrequency,
+            elapsedTime: this.cycles / this.clockFrequency, // seconds
+            interrupts: {
+                enabled: this.interrupts.enabled,
+                masks: { ...this.interrupts.masks },
+                pending: { ...this.interrupts.pending }
+            },
+            serial: { ...this.serial },
+            undoSteps: this.history.count,
+            callStack: this.callStack.map(frame => ({ ...frame }))
         };
     }
 }
 
 // Create global simulator instance
 const simulator = new Simulator();
+
+// Export for Node (see cli.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        UNMAPPED_PORT_POLICIES, INTERRUPT_VECTORS, STACK_POLICIES, REGISTER_NAMES, CALL_OPCODES,
+        RETURN_OPCODES, EXECUTION_MODES, RUN_SPEEDS, RUN_SLICE_MS, RingBuffer, Simulator, simulator
+    };
+}
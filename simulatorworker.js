@@ -0,0 +1,152 @@
+// Web Worker that runs the simulator off the page's thread. The page
+// talks to it through SimulatorWorkerClient (workerclient.js).
+//
+// Messages from the page:
+//   load        { snapshot, ports, inputs }  replace the machine and devices
+//   run         { id, speed, stepsPerSecond, maxSteps }
+//   stop
+//   breakpoints { breakpoints }              replace the breakpoints
+//   watchpoints { watchpoints }              replace the watchpoints
+//   writeMemory { address, bytes }
+//   inputs      { values }                   byte each input port reads
+//   interrupt   { line, vector }
+//   sid         { value }
+//
+// Messages to the page:
+//   update      { id, steps, snapshot, outputs }             during a run
+//   stopped     { id, steps, stopReason, snapshot, outputs }
+//   error       { id, message }
+//
+// outputs lists the OUT writes since the last message as [port, value].
+
+// assembler.js is needed for the number parsing in breakpoint conditions
+importScripts('instructions.js', 'assembler.js', 'breakpoints.js', 'memorymap.js', 'trace.js', 'decoder.js', 'simulator.js');
+
+// Shortest time between update messages during a run, in ms
+const UPDATE_INTERVAL_MS = 50;
+
+// Byte each input port reads, as last sent by the page
+const inputs = new Map();
+
+// OUT writes not yet sent to the page
+let outputs = [];
+
+// Id of the run in progress
+let currentId = null;
+
+function takeOutputs() {
+    const sent = outputs;
+    outputs = [];
+    return sent;
+}
+
+function setInputs(values) {
+    for (const port of Object.keys(values)) {
+        inputs.set(Number(port), values[port]);
+    }
+}
+
+// Put a stand-in device on every port the page has a device on. Reads
+// return the last byte the page sent; writes are queued for the page.
+function mapPorts(ports) {
+    for (const port of [...simulator.portHandlers.keys()]) {
+        simulator.unmapPort(port);
+    }
+    for (const { port, read, write } of ports) {
+        simulator.mapPort(port, {
+            read: read ? () => inputs.get(port) || 0 : undefined,
+            write: write ? value => outputs.push([port, value]) : undefined
+        });
+    }
+}
+
+// stopReason with the breakpoint's compiled condition left out, which
+// can't be posted
+function postableStopReason(stopReason) {
+    if (stopReason.type !== 'breakpoint') {
+        return stopReason;
+    }
+    const { test, ...breakpoint } = stopReason.breakpoint;
+    return { ...stopReason, breakpoint: breakpoint };
+}
+
+function run(id, options) {
+    currentId = id;
+    let lastUpdate = 0;
+
+    simulator.runAsync({
+        speed: options.speed,
+        stepsPerSecond: options.stepsPerSecond,
+        maxSteps: options.maxSteps,
+        onUpdate: steps => {
+            // The final slice is reported by the stopped message
+            const now = performance.now();
+            if (!simulator.running || now - lastUpdate < UPDATE_INTERVAL_MS) return;
+            lastUpdate = now;
+            postMessage({ type: 'update', id: id, steps: steps, snapshot: simulator.getSnapshot(true), outputs: takeOutputs() });
+        }
+    }).then(steps => {
+        // A load while running replaces the run; it has nothing to report
+        if (currentId !== id) return;
+        currentId = null;
+        postMessage({
+            type: 'stopped',
+            id: id,
+            steps: steps,
+            stopReason: postableStopReason(simulator.stopReason),
+            snapshot: simulator.getSnapshot(),
+            outputs: takeOutputs()
+        });
+    }, e => {
+        if (currentId !== id) return;
+        currentId = null;
+        postMessage({ type: 'error', id: id, message: e.message });
+    });
+}
+
+onmessage = event => {
+    const message = event.data;
+    try {
+        switch (message.type) {
+            case 'load':
+                currentId = null;
+                simulator.reset();
+                simulator.loadSnapshot(message.snapshot);
+                // The page can't step back over a background run, so
+                // don't spend time and memory on a history
+                simulator.historyLimit = 0;
+                mapPorts(message.ports);
+                setInputs(message.inputs);
+                outputs = [];
+                break;
+            case 'run':
+                run(message.id, message);
+                break;
+            case 'stop':
+                simulator.stop();
+                break;
+            case 'breakpoints':
+                simulator.breakpoints.restore(message.breakpoints);
+                break;
+            case 'watchpoints':
+                simulator.watchpoints.restore(message.watchpoints);
+                break;
+            case 'writeMemory':
+                simulator.writeBlock(message.address, message.bytes);
+                break;
+            case 'inputs':
+                setInputs(message.values);
+                break;
+            case 'interrupt':
+                simulator.raiseInterrupt(message.line, message.vector);
+                break;
+            case 'sid':
+                simulator.setSID(message.value);
+                break;
+            default:
+                throw new Error(`Unknown message: ${message.type}`);
+        }
+    } catch (e) {
+        postMessage({ type: 'error', id: message.id, message: e.message });
+    }
+};
@@ -0,0 +1,122 @@
+// Execution trace: a ring buffer of per-step records
+
+// Order of the register and flag columns in CSV output
+const TRACE_REGISTERS = ['A', 'B', 'C', 'D', 'E', 'H', 'L', 'SP'];
+const TRACE_FLAGS = ['S', 'Z', 'AC', 'P', 'CY', 'V', 'K'];
+
+class TraceBuffer {
+    constructor(size = 1000) {
+        // Also keep the memory bytes each step wrote
+        this.recordMemory = false;
+        this.setSize(size);
+    }
+
+    // Change how many records are kept, keeping the most recent ones
+    setSize(size) {
+        if (!Number.isInteger(size) || size < 0) {
+            throw new Error(`Trace size must be a whole number: ${size}`);
+        }
+        const kept = this.records && size > 0 ? this.toArray().slice(-size) : [];
+        this.size = size;
+        this.records = new Array(size);
+        this.start = 0;
+        this.count = 0;
+        kept.forEach(record => this.push(record));
+    }
+
+    clear() {
+        this.start = 0;
+        this.count = 0;
+        this.records.fill(undefined);
+    }
+
+    // Add a record, overwriting the oldest when full
+    push(record) {
+        if (this.size === 0) return;
+        if (this.count < this.size) {
+            this.records[(this.start + this.count) % this.size] = record;
+            this.count++;
+        } else {
+            this.records[this.start] = record;
+            this.start = (this.start + 1) % this.size;
+        }
+    }
+
+    // Drop records from step onwards, after a step is undone
+    discardFrom(step) {
+        while (this.count > 0) {
+            const index = (this.start + this.count - 1) % this.size;
+            if (this.records[index].step < step) break;
+            this.records[index] = undefined;
+            this.count--;
+        }
+    }
+
+    // Records oldest first
+    toArray() {
+        const records = [];
+        for (let i = 0; i < this.count; i++) {
+            records.push(this.records[(this.start + i) % this.size]);
+        }
+        return records;
+    }
+
+    // The last n records, oldest first
+    tail(n) {
+        return this.toArray().slice(-n);
+    }
+
+    // Size, settings and records as plain data
+    snapshot() {
+        return { size: this.size, recordMemory: this.recordMemory, records: this.toArray() };
+    }
+
+    restore(snapshot) {
+        this.recordMemory = snapshot.recordMemory;
+        this.setSize(snapshot.size);
+        this.clear();
+        snapshot.records.forEach(record => this.push(record));
+    }
+
+    // Records as JSON text. Not called toJSON(), which JSON.stringify()
+    // would use and so encode the text a second time.
+    exportJSON() {
+        return JSON.stringify(this.toArray(), null, 2);
+    }
+
+    // One row per step. Register and flag columns are empty unless the
+    // step changed them; memory writes are "address:old>new" separated by
+    // spaces.
+    toCSV() {
+        const hex = (value, digits) => value.toString(16).toUpperCase().padStart(digits, '0');
+        const header = ['step', 'address', 'bytes', 'instruction', 't_states', 'cycles',
+            ...TRACE_REGISTERS, ...TRACE_FLAGS, 'memory'];
+        const rows = [header.join(',')];
+
+        for (const record of this.toArray()) {
+            const registers = TRACE_REGISTERS.map(name => {
+                const value = record.changes.registers[name];
+                return value === undefined ? '' : hex(value, name === 'SP' ? 4 : 2);
+            });
+            const flags = TRACE_FLAGS.map(name => {
+                const value = record.changes.flags[name];
+                return value === undefined ? '' : value;
+            });
+            const memory = (record.memory || [])
+                .map(write => `${hex(write.address, 4)}:${hex(write.old, 2)}>${hex(write.new, 2)}`)
+                .join(' ');
+            // Quote the instruction: it can contain commas
+            const instruction = `"${record.instruction.replace(/"/g, '""')}"`;
+            rows.push([record.step, hex(record.address, 4), record.bytes.map(b => hex(b, 2)).join(' '),
+                instruction, record.tStates, record.cycles, ...registers, ...flags, memory].join(','));
+        }
+        return rows.join('\n') + '\n';
+    }
+}
+
+// Export for Node (see cli.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        TRACE_REGISTERS, TRACE_FLAGS, TraceBuffer
+    };
+}
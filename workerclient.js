@@ -0,0 +1,176 @@
+// Page side of the simulator worker (simulatorworker.js)
+
+// Runs a Simulator in a Web Worker so that long runs don't hold up the
+// page. The page's simulator stays the one the display reads: it is sent
+// to the worker when a run starts, follows the worker's snapshots
+// while it runs and takes the final state when it stops. OUT writes are
+// passed on to the page's devices, and input devices are read again after
+// every update and sent back.
+class SimulatorWorkerClient {
+    // Throws if the browser won't start the worker, as on file:// pages
+    constructor(simulator, url = 'simulatorworker.js') {
+        this.simulator = simulator;
+        this.worker = new Worker(url);
+        this.worker.onmessage = event => this.receive(event.data);
+        this.worker.onerror = event => {
+            event.preventDefault();
+            this.failed = true;
+            this.fail(event.message || `Could not start ${url}`);
+        };
+
+        // True once the worker has failed to load; it can't be used
+        this.failed = false;
+
+        this.nextId = 1;
+        // { id, resolve, reject, onUpdate } of the run in progress
+        this.pending = null;
+    }
+
+    // True while a run is in progress
+    get busy() {
+        return this.pending !== null;
+    }
+
+    // Run like Simulator.runAsync(), with the same options. Resolves with
+    // the number of steps once the worker stops; simulator.stopReason is
+    // set as for run().
+    run({ speed = 'fast', stepsPerSecond = 10, onUpdate = null, maxSteps = Infinity } = {}) {
+        return this.request({ type: 'run', speed: speed, stepsPerSecond: stepsPerSecond, maxSteps: maxSteps }, onUpdate);
+    }
+
+    // Stop the run in progress at the end of its current slice
+    stop() {
+        this.post({ type: 'stop' });
+    }
+
+    // Forget the run in progress, e.g. because the page simulator was
+    // reset. Its promise resolves without setting a stop reason.
+    abandon() {
+        if (!this.pending) return;
+        this.worker.postMessage({ type: 'stop' });
+        const { resolve } = this.pending;
+        this.pending = null;
+        resolve(0);
+    }
+
+    // Changes made on the page during a run. Outside a run they are sent
+    // with the rest of the state when the next run starts.
+    updateBreakpoints() {
+        this.post({ type: 'breakpoints', breakpoints: this.simulator.breakpoints.snapshot() });
+    }
+
+    updateWatchpoints() {
+        this.post({ type: 'watchpoints', watchpoints: this.simulator.watchpoints.snapshot() });
+    }
+
+    writeMemory(address, bytes) {
+        this.post({ type: 'writeMemory', address: address, bytes: bytes });
+    }
+
+    raiseInterrupt(line, vector) {
+        this.post({ type: 'interrupt', line: line, vector: vector });
+    }
+
+    setSID(value) {
+        this.post({ type: 'sid', value: value });
+    }
+
+    terminate() {
+        this.abandon();
+        this.worker.terminate();
+    }
+
+    post(message) {
+        if (this.pending) {
+            this.worker.postMessage(message);
+        }
+    }
+
+    // Send the page's state and devices, then the request
+    request(message, onUpdate = null) {
+        if (this.failed) {
+            return Promise.reject(new Error('The simulator worker is not available'));
+        }
+        if (this.pending) {
+            return Promise.reject(new Error('The simulator worker is busy'));
+        }
+
+        const ports = [...this.simulator.portHandlers].map(([port, handler]) => ({
+            port: port,
+            read: typeof handler.read === 'function',
+            write: typeof handler.write === 'function'
+        }));
+        this.worker.postMessage({
+            type: 'load',
+            snapshot: this.simulator.getSnapshot(),
+            ports: ports,
+            inputs: this.readInputs()
+        });
+
+        const id = this.nextId++;
+        return new Promise((resolve, reject) => {
+            this.pending = { id, resolve, reject, onUpdate };
+            this.worker.postMessage({ ...message, id: id });
+        });
+    }
+
+    // Current byte of every input device, by port
+    readInputs() {
+        const values = {};
+        for (const [port, handler] of this.simulator.portHandlers) {
+            if (typeof handler.read === 'function') {
+                values[port] = handler.read(port) & 0xFF;
+            }
+        }
+        return values;
+    }
+
+    // Pass OUT writes made in the worker to the page's devices
+    writeOutputs(outputs) {
+        for (const [port, value] of outputs) {
+            const handler = this.simulator.portHandlers.get(port);
+            if (handler && typeof handler.write === 'function') {
+                handler.write(value, port);
+            }
+        }
+    }
+
+    receive(message) {
+        if (message.type === 'error') {
+            this.fail(message.message);
+            return;
+        }
+        // Ignore what an abandoned run still had in flight
+        if (!this.pending || message.id !== this.pending.id) return;
+
+        this.simulator.loadSnapshot(message.snapshot);
+        this.writeOutputs(message.outputs);
+
+        const pending = this.pending;
+        if (message.type === 'update') {
+            this.worker.postMessage({ type: 'inputs', values: this.readInputs() });
+            if (pending.onUpdate) pending.onUpdate(message.steps);
+        } else if (message.type === 'stopped') {
+            const stopReason = message.stopReason;
+            if (stopReason.type === 'breakpoint') {
+                // Report the page's own breakpoint rather than the copy
+                stopReason.breakpoint = this.simulator.breakpoints.get(stopReason.breakpoint.address) || stopReason.breakpoint;
+            }
+            this.simulator.stopReason = stopReason;
+            this.pending = null;
+            pending.resolve(message.steps);
+        }
+    }
+
+    // Stop whatever the worker was doing and reject the request in progress
+    fail(text) {
+        if (!this.failed) {
+            this.worker.postMessage({ type: 'stop' });
+        }
+        if (this.pending) {
+            const { reject } = this.pending;
+            this.pending = null;
+            reject(new Error(text));
+        }
+    }
+}